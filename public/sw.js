@@ -0,0 +1,125 @@
+// Service worker for the public storefront (registered from src/main.jsx in production builds).
+// - app shell: index.html network-first, hashed /assets/* cache-first
+// - pages: the last copy of each visited page (by path, query string ignored, capped) for offline navigations
+// - catalog data: anonymous Supabase REST reads of the public catalog tables network-first with a timeout, falling back to
+//   the last cached response; signed-in reads (user JWT) and other tables always go to the network
+// - thumbnails: product images from Supabase storage cache-first
+// The Dashboard (and login) stay online-only: their navigations and requests are never answered from cache.
+// Pages are told where catalog data came from via postMessage({ type: 'catalog-data', source, cachedAt }), and clear the
+// cached catalog data on sign-out with postMessage({ type: 'clear-catalog-data' }).
+
+const VERSION = 'v3';
+const SHELL_CACHE = `shell-${VERSION}`;
+const DATA_CACHE = `catalog-data-${VERSION}`;
+const IMAGE_CACHE = `thumbs-${VERSION}`;
+const PAGE_CACHE = `pages-${VERSION}`;
+const NETWORK_TIMEOUT = 5000; // slow connections get the cached catalog instead of a blank page
+const MAX_DATA_ENTRIES = 80;
+const MAX_IMAGE_ENTRIES = 300;
+const MAX_PAGE_ENTRIES = 50;
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(['/index.html', '/manifest.webmanifest', '/icon-192.png'])).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE, PAGE_CACHE];
+  event.waitUntil(caches.keys().then(keys => Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k)))).then(() => self.clients.claim()));
+});
+
+const CATALOG_TABLES = ['products', 'brands', 'categories', 'product_variants', 'product_images', 'settings'];
+
+function isOnlineOnlyPath(pathname) { return pathname.startsWith('/dashboard') || pathname.startsWith('/login') || pathname.startsWith('/go/'); }
+
+// public catalog read made with the anon key: supabase-js sends the user's access token as the bearer once signed in
+function isCacheableRead(request, url) {
+  const table = url.pathname.slice('/rest/v1/'.length);
+  return CATALOG_TABLES.includes(table) && request.headers.get('Authorization') === `Bearer ${request.headers.get('apikey')}`;
+}
+
+async function trimCache(name, max) { const cache = await caches.open(name); const keys = await cache.keys(); await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(k => cache.delete(k))); }
+
+async function notify(clientId, message) { const client = clientId && await self.clients.get(clientId); if (client) client.postMessage({ type: 'catalog-data', ...message }); }
+
+// navigations: fresh page when possible, otherwise the cached copy of that page (prerendered pages carry their own
+// meta tags) or the plain SPA shell. Every successful navigation also refreshes /index.html, so the shell used for
+// pages never visited points at the current /assets/* build
+async function handleNavigation(event) {
+  const { request } = event;
+  const url = new URL(request.url); url.search = ''; const key = url.href;
+  const pages = await caches.open(PAGE_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) event.waitUntil((async () => {
+      await pages.put(key, response.clone()); await trimCache(PAGE_CACHE, MAX_PAGE_ENTRIES);
+      const shell = await fetch('/index.html', { cache: 'no-cache' }); if (shell.ok) await (await caches.open(SHELL_CACHE)).put('/index.html', shell);
+    })().catch(() => {}));
+    return response;
+  } catch {
+    return (await pages.match(key)) || (await caches.match('/index.html', { cacheName: SHELL_CACHE })) || Response.error();
+  }
+}
+
+async function cacheFirst(request, cacheName, max) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) { await cache.put(request, response.clone()); if (max) trimCache(cacheName, max); }
+  return response;
+}
+
+// network-first with a timeout; cached responses carry the time they were stored (sw-cached-at)
+async function catalogData(event) {
+  const { request, clientId } = event;
+  const cache = await caches.open(DATA_CACHE);
+  const network = fetch(request).then(async response => {
+    if (response.ok) {
+      const headers = new Headers(response.headers); headers.set('sw-cached-at', new Date().toISOString());
+      await cache.put(request, new Response(await response.clone().blob(), { status: response.status, statusText: response.statusText, headers }));
+      trimCache(DATA_CACHE, MAX_DATA_ENTRIES);
+    }
+    return response;
+  });
+  const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT, null));
+  const response = await Promise.race([network.catch(() => null), timeout]);
+  if (response) { notify(clientId, { source: 'network' }); return response; }
+  const cached = await cache.match(request);
+  if (cached) { notify(clientId, { source: 'cache', cachedAt: cached.headers.get('sw-cached-at') }); return cached; }
+  return network; // nothing cached yet: keep waiting for (or fail with) the network
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    if (url.origin !== self.location.origin || isOnlineOnlyPath(url.pathname)) return;
+    event.respondWith(handleNavigation(event));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/assets/')) event.respondWith(cacheFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  if (url.pathname.startsWith('/storage/v1/object/public/product-images/') || url.pathname.startsWith('/storage/v1/object/public/brand-logos/')) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+    return;
+  }
+
+  if (url.pathname.startsWith('/rest/v1/') && isCacheableRead(request, url)) {
+    // requests made by Dashboard pages go straight to the network
+    event.respondWith((async () => {
+      const client = event.clientId && await self.clients.get(event.clientId);
+      if (client && isOnlineOnlyPath(new URL(client.url).pathname)) return fetch(request);
+      return catalogData(event);
+    })());
+  }
+});
+
+self.addEventListener('message', event => {
+  if (event.data?.type === 'clear-catalog-data') event.waitUntil(caches.delete(DATA_CACHE));
+});
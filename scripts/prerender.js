@@ -0,0 +1,94 @@
+// Build step (runs after `vite build`, see package.json): writes static HTML for /catalog, /brand/:slug and /p/:code
+// into dist/ with per-page meta tags + JSON-LD (src/seo.js) and a plain-HTML version of the content, plus sitemap.xml
+// and robots.txt. The SPA still boots on top of these pages (createRoot replaces the static markup).
+// Prices, availability and the product list are as of the build, so a scheduled rebuild (e.g. nightly) keeps them
+// current. Sale prices are left out of the static output (normal prices only): a sale starts and ends on its own and
+// would otherwise stay in link previews and search results until the next deploy; the running app shows them live.
+//
+// Needs VITE_SUPABASE_URL, VITE_SUPABASE_ANON_KEY and VITE_SITE_URL (e.g. https://katalogin.id) in the environment
+// or .env files; without them the step is skipped and dist/ keeps the plain SPA.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { loadEnv } from 'vite';
+import { createClient } from '@supabase/supabase-js';
+import { formatPriceRange } from '../src/pricing.js';
+import { brandMeta, catalogMeta, escapeHtml, productImages, productMeta, renderMetaTags } from '../src/seo.js';
+
+const DIST = path.resolve('dist');
+const env = { ...loadEnv('production', process.cwd(), ''), ...process.env };
+const origin = (env.VITE_SITE_URL || '').replace(/\/+$/, '');
+
+// reads a whole table in pages of 1000 (the PostgREST default limit)
+async function fetchAll(supabase, table, columns, filter = q => q) {
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await filter(supabase.from(table).select(columns)).range(from, from + 999);
+    if (error) throw new Error(`${table}: ${error.message}`);
+    rows.push(...data); if (data.length < 1000) return rows;
+  }
+}
+
+function pageHtml(template, meta, body) {
+  return template
+    .replace(/<title>[\s\S]*?<\/title>/, '')
+    .replace(/\s*<meta name="description"[^>]*>/, '')
+    .replace('</head>', `  ${renderMetaTags(meta)}\n  </head>`)
+    .replace('<div id="root"></div>', `<div id="root">${body}</div>`);
+}
+
+const productLink = p => `/p/${encodeURIComponent(p.code)}`;
+const productItem = p => `<li><a href="${productLink(p)}">${escapeHtml(p.name)}</a>${p.brands?.name ? ` – ${escapeHtml(p.brands.name)}` : ''} · ${escapeHtml(formatPriceRange(p, { sale: false }))}</li>`;
+
+function productBody(p) {
+  const [image] = productImages(p);
+  return `<main><p><a href="/catalog">Katalog</a></p><h1>${escapeHtml(p.name)}</h1>`
+    + (p.brands?.name ? `<p>${p.brands.slug ? `<a href="/brand/${encodeURIComponent(p.brands.slug)}">${escapeHtml(p.brands.name)}</a>` : escapeHtml(p.brands.name)}</p>` : '')
+    + (image ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(p.name)}" width="600" />` : '')
+    + `<p>${escapeHtml(formatPriceRange(p, { sale: false }))}</p>`
+    + `<p>${p.available ? 'Tersedia' : 'Stok habis'} · Kode ${escapeHtml(p.code)}</p></main>`;
+}
+
+function listBody(title, groups) {
+  return `<main><h1>${escapeHtml(title)}</h1>${groups.filter(g => g.items.length).map(g => `<section><h2>${escapeHtml(g.name)}</h2><ul>${g.items.map(productItem).join('')}</ul></section>`).join('')}</main>`;
+}
+
+// catalog order: categories by sort_order, uncategorised last
+function groupByCategory(categories, products) {
+  return [...categories.map(c => ({ name: c.name, items: products.filter(p => p.category === c.name) })), { name: 'Tanpa kategori', items: products.filter(p => !p.category) }];
+}
+
+async function writePage(route, html) { const dir = path.join(DIST, route); await fs.mkdir(dir, { recursive: true }); await fs.writeFile(path.join(dir, 'index.html'), html); }
+
+async function main() {
+  if (!env.VITE_SUPABASE_URL || !env.VITE_SUPABASE_ANON_KEY || !origin) { console.warn('[prerender] VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY / VITE_SITE_URL not set, skipping'); return; }
+  const supabase = createClient(env.VITE_SUPABASE_URL, env.VITE_SUPABASE_ANON_KEY, { auth: { persistSession: false } });
+  const template = await fs.readFile(path.join(DIST, 'index.html'), 'utf8');
+
+  const [categories, brands, products] = await Promise.all([
+    fetchAll(supabase, 'categories', '*', q => q.eq('visible', true).order('sort_order', { ascending: true })),
+    fetchAll(supabase, 'brands', '*', q => q.order('name', { ascending: true })),
+    fetchAll(supabase, 'products', '*, brands(name, slug, logo_url), product_images(url, thumb_url, position), product_variants(size, color, price, stock, position)', q => q.is('deleted_at', null).order('created_at', { ascending: false })),
+  ]);
+  // same visibility as the storefront: not deleted, and products of hidden categories are left out
+  const visibleNames = new Set(categories.map(c => c.name));
+  const listed = products.filter(p => !p.category || visibleNames.has(p.category));
+  const inCatalog = listed.filter(p => p.available);
+
+  await writePage('catalog', pageHtml(template, catalogMeta({ origin }), listBody('Katalog Produk', groupByCategory(categories, inCatalog))));
+  const brandPages = brands.filter(b => b.slug && inCatalog.some(p => p.brand_id === b.id));
+  for (const b of brandPages) await writePage(path.join('brand', b.slug), pageHtml(template, brandMeta(b, { origin }), listBody(b.name, groupByCategory(categories, inCatalog.filter(p => p.brand_id === b.id)))));
+  // sold-out products keep their page (shared links stay valid), like /p/:code in the app
+  for (const p of listed) await writePage(path.join('p', encodeURIComponent(p.code)), pageHtml(template, productMeta(p, { origin, sale: false }), productBody(p)));
+
+  const lastmod = rows => rows.reduce((max, r) => (r.updated_at && r.updated_at > max ? r.updated_at : max), '');
+  const urls = [
+    { loc: `${origin}/catalog`, lastmod: lastmod(inCatalog) },
+    ...brandPages.map(b => ({ loc: `${origin}/brand/${encodeURIComponent(b.slug)}`, lastmod: lastmod(inCatalog.filter(p => p.brand_id === b.id)) })),
+    ...listed.map(p => ({ loc: `${origin}${productLink(p)}`, lastmod: p.updated_at || '' })),
+  ];
+  await fs.writeFile(path.join(DIST, 'sitemap.xml'), `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.map(u => `  <url><loc>${escapeHtml(u.loc)}</loc>${u.lastmod ? `<lastmod>${u.lastmod.slice(0, 10)}</lastmod>` : ''}</url>`).join('\n')}\n</urlset>\n`);
+  await fs.writeFile(path.join(DIST, 'robots.txt'), `User-agent: *\nDisallow: /dashboard\nDisallow: /login\nDisallow: /go/\n\nSitemap: ${origin}/sitemap.xml\n`);
+  console.log(`[prerender] ${listed.length} products, ${brandPages.length} brands, sitemap with ${urls.length} urls`);
+}
+
+main().catch(err => { console.error('[prerender] failed:', err.message); process.exit(1); });
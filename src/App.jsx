@@ -5,30 +5,54 @@
 // - auto-insert brand if not exists on product save
 // - display brand name via relation when querying products
 // - preserves dark mode, auto-logout, uploads, grouped catalog, affiliate link handling
+// - public product detail page at /p/:code (shareable link per product code)
+// - CSV export / bulk CSV import (preview + per-row report) in the Dashboard
+// - server-side search / filter / sort with paginated category sections; filter state in URL params
+// - product codes from a per-prefix counter in the DB (next_product_code), unique index + retry, duplicate fixer
+// - managed categories table (order, icon, code prefix, visibility) with /dashboard/categories admin
+// - brand admin (/dashboard/brands: rename, merge, delete unused, logos) and public brand pages at /brand/:slug
+// - product image gallery (product_images): browser-side resize + thumbnails, drag-to-reorder, storage cleanup
+// - roles from profiles (owner / editor / viewer) enforced by RLS; owners manage users at /dashboard/users
+// - audit_log history for products + brands, soft-delete with /dashboard/trash (restore), per-product timeline with revert
+// - realtime: Dashboard + Catalog merge products / brands changes live; saves check updated_at and warn on conflicts
+// - product variants (size / color, SKU from the product code, price override, stock); available follows variant stock
+// - scheduled sale pricing (fixed price or percent, start / end), price_history chart, sale badges + "Sale" filter
+// - SEO: per-page title / description / Open Graph / Twitter tags + Product JSON-LD (src/seo.js), prerendered pages + sitemap at build
+// - order-by-chat cart (localStorage) for products without an affiliate link; checkout opens a prefilled wa.me message
+// - installable PWA (public/sw.js + manifest): storefront shell, last product lists and thumbnails readable offline
+// - outbound "Beli Sekarang" clicks go through /go/:code (tracked in clicks with referrer + UTM) and show up in Dashboard analytics
+// - data access in src/data.js (in-memory twin in src/data.fake.js); component + integration tests in src/__tests__ (npm test)
 
-import React, { useEffect, useRef, useState, createContext } from 'react';
-import { createClient } from '@supabase/supabase-js';
-import { BrowserRouter as Router, Routes, Route, Navigate, Link, useNavigate } from 'react-router-dom';
+import React, { useEffect, useMemo, useRef, useState, createContext } from 'react';
+import { BrowserRouter as Router, Routes, Route, Navigate, Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { Toaster, toast } from 'sonner';
+import { formatPrice, inStockVariants, formatPriceRange, salePrice, discountPercent } from './pricing.js';
+import { applyMeta, catalogMeta, brandMeta, productMeta } from './seo.js';
+import { slugify, variantSku, NO_CATEGORY, SORTS, readFilters, productMatches } from './catalog.js';
+import * as db from './data.js'; // every Supabase read / write goes through here (db.supabase for the admin-only screens)
 
-// --- Supabase setup ---
-const supabase = createClient(
-  import.meta.env.VITE_SUPABASE_URL,
-  import.meta.env.VITE_SUPABASE_ANON_KEY
-);
+// --- Roles (profiles.role; the same rules are enforced server-side by the RLS policies in the SQL below) ---
+// owner = everything incl. user management, editor = price + availability only, viewer = read-only
+const ROLES = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+const ROLE_PERMISSIONS = { owner: ['manage', 'pricing', 'users'], editor: ['pricing'], viewer: [] };
+function roleCan(role, permission) { return (ROLE_PERMISSIONS[role] || []).includes(permission); }
 
 // --- Auth Context ---
 const AuthContext = createContext();
+// asks the service worker (public/sw.js) to drop its cached catalog reads, so nothing from the session outlives it
+function clearCachedCatalogData() { navigator.serviceWorker?.controller?.postMessage({ type: 'clear-catalog-data' }); }
 function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
+  const [role, setRole] = useState(undefined); // undefined while the profile is loading
   const [loading, setLoading] = useState(true);
+  const userId = user?.id;
 
   useEffect(() => {
     let mounted = true;
 
     async function init() {
       try {
-        const { data: { session } } = await supabase.auth.getSession();
+        const session = await db.getSession();
         if (!mounted) return;
         setUser(session?.user || null);
       } catch (e) {
@@ -40,7 +64,7 @@ function AuthProvider({ children }) {
 
     init();
 
-    const { data: listener } = supabase.auth.onAuthStateChange((_event, session) => {
+    const unsubscribe = db.onAuthStateChange(session => {
       if (!mounted) return;
       setUser(session?.user || null);
     });
@@ -48,10 +72,9 @@ function AuthProvider({ children }) {
     // auto-logout check (interval)
     const interval = setInterval(async () => {
       try {
-        const { data } = await supabase.auth.getSession();
-        const exp = data?.session?.expires_at;
+        const exp = (await db.getSession())?.expires_at;
         if (exp && Date.now() / 1000 > exp) {
-          await supabase.auth.signOut();
+          await db.signOut();
           toast.error('Sesi berakhir, silakan login kembali');
         }
       } catch (e) { /* ignore */ }
@@ -59,14 +82,65 @@ function AuthProvider({ children }) {
 
     return () => {
       mounted = false;
-      try { listener.subscription.unsubscribe(); } catch (e) {}
+      try { unsubscribe(); } catch (e) {}
       clearInterval(interval);
     };
   }, []);
 
+  const signedInRef = useRef(false);
+  useEffect(() => { if (signedInRef.current && !userId) clearCachedCatalogData(); signedInRef.current = !!userId; }, [userId]);
+
+  // role of the signed-in user; no profile row means viewer
+  useEffect(() => {
+    if (!userId) { setRole(null); return; }
+    let cancelled = false; setRole(undefined);
+    db.fetchRole(userId).then(r => { if (!cancelled) setRole(r); });
+    return () => { cancelled = true; };
+  }, [userId]);
+
   if (loading) return <div className="text-center p-8">Loading session...</div>;
 
-  return <AuthContext.Provider value={{ user }}>{children}</AuthContext.Provider>;
+  return <AuthContext.Provider value={{ user, role }}>{children}</AuthContext.Provider>;
+}
+
+// --- Cart (order by WhatsApp; lines persisted in localStorage under "cart") ---
+// line = { key (sku or code), code, name, variant, price, quantity }; prices are snapshots from when the line was added,
+// checked against the current ones at checkout
+const CartContext = createContext();
+function readCart() { try { const lines = JSON.parse(localStorage.getItem('cart') || '[]'); return Array.isArray(lines) ? lines : []; } catch { return []; } }
+function CartProvider({ children }) {
+  const [lines, setLines] = useState(readCart);
+  useEffect(() => { try { localStorage.setItem('cart', JSON.stringify(lines)); } catch { /* storage unavailable or full: the cart lasts for this page only */ } }, [lines]);
+  useEffect(() => { const onStorage = e => { if (e.key === 'cart') setLines(readCart()); }; window.addEventListener('storage', onStorage); return () => window.removeEventListener('storage', onStorage); }, []); // other tabs
+
+  function addItem(p, variant = null) { const key = variant?.sku || p.code;
+    setLines(ls => ls.some(l => l.key === key) ? ls.map(l => l.key === key ? { ...l, quantity: l.quantity + 1 } : l) : [...ls, { key, code: variant?.sku || p.code, name: p.name, variant: variant ? variantLabel(variant) : '', price: salePrice(p, Number(variant?.price ?? p.price)) || 0, quantity: 1 }]);
+    toast.success(`${p.name} masuk keranjang`); }
+  function setQuantity(key, quantity) { setLines(ls => quantity > 0 ? ls.map(l => l.key === key ? { ...l, quantity } : l) : ls.filter(l => l.key !== key)); }
+  // current = { [line.key]: unit price now, or null once it can no longer be bought (such lines are dropped) }
+  function reprice(current) { setLines(ls => ls.filter(l => current[l.key] != null).map(l => ({ ...l, price: current[l.key] }))); }
+  const clear = () => setLines([]);
+  const count = lines.reduce((n, l) => n + l.quantity, 0);
+  const subtotal = lines.reduce((n, l) => n + l.price * l.quantity, 0);
+
+  return <CartContext.Provider value={{ lines, count, subtotal, addItem, setQuantity, reprice, clear }}>{children}</CartContext.Provider>;
+}
+
+// unit price of a cart line right now (sale applied) from db.fetchProductsForCart rows; null when sold out, trashed or gone
+function currentLinePrice(line, products) {
+  for (const p of products) {
+    const variant = (p.product_variants || []).find(v => v.sku === line.code);
+    if (variant) return variant.stock > 0 ? salePrice(p, Number(variant.price ?? p.price)) : null;
+    if (p.code === line.code) return p.available ? salePrice(p) : null;
+  }
+  return null;
+}
+
+// wa.me wants the number in international format without "+" (0812... -> 62812...)
+function normalizeWhatsApp(number) { const digits = String(number || '').replace(/\D/g, ''); return digits.startsWith('0') ? `62${digits.slice(1)}` : digits; }
+function buildOrderMessage(lines, subtotal, { name, note }) {
+  return ['Halo, saya mau pesan:', '', ...lines.map((l, i) => `${i + 1}. [${l.code}] ${l.name}${l.variant ? ` (${l.variant})` : ''} x${l.quantity} @ Rp${formatPrice(l.price)} = Rp${formatPrice(l.price * l.quantity)}`), '',
+    `Subtotal: Rp${formatPrice(subtotal)}`, name ? `Nama: ${name}` : null, note ? `Catatan: ${note}` : null].filter(l => l !== null).join('\n');
 }
 
 // --- Theme hook ---
@@ -80,7 +154,7 @@ function useTheme() {
 function Header({ dark, setDark }) {
   const { user } = React.useContext(AuthContext);
   const navigate = useNavigate();
-  async function handleLogout() { await supabase.auth.signOut(); toast.success('Berhasil logout!'); navigate('/login'); }
+  async function handleLogout() { await db.signOut(); toast.success('Berhasil logout!'); navigate('/login'); }
   return (
     <header className="sticky top-0 z-50 bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700 transition-colors duration-300">
       <div className="max-w-6xl mx-auto flex items-center justify-between px-4 py-3">
@@ -96,58 +170,370 @@ function Header({ dark, setDark }) {
 }
 
 // --- Utilities ---
-function formatPrice(p) { const n = Number(p); if (!Number.isFinite(n)) return '—'; return n.toLocaleString('id-ID'); }
 function normalizeAffiliate(url) { if (!url) return null; return url.startsWith('http') ? url : `https://${url}`; }
+async function removeStorageFile(bucket, url) { const path = db.storagePathFromUrl(url, bucket); if (!path) return; const { error } = await db.supabase.storage.from(bucket).remove([path]); if (error) console.error(error); }
+function isValidUrl(url) { try { const u = new URL(normalizeAffiliate(url)); return u.protocol === 'http:' || u.protocol === 'https:'; } catch { return false; } }
+
+// --- Click tracking: outbound affiliate links go through /go/:code, which records the click and redirects ---
+// UTM params seen on landing are kept for the session so clicks made later in the visit still carry them
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+function currentUtm() {
+  const params = new URLSearchParams(window.location.search); const fromUrl = {};
+  UTM_KEYS.forEach(k => { if (params.get(k)) fromUrl[k] = params.get(k); });
+  try { if (Object.keys(fromUrl).length) { sessionStorage.setItem('utm', JSON.stringify(fromUrl)); return fromUrl; } return JSON.parse(sessionStorage.getItem('utm') || '{}'); } catch { return fromUrl; }
+}
+function trackedHref(code) { const params = new URLSearchParams({ from: window.location.pathname + window.location.search, ...currentUtm() }); return `/go/${encodeURIComponent(code || '')}?${params}`; }
+
+// --- CSV helpers (RFC 4180-ish: comma separated, double-quote escaping, header row) ---
+// text starting with = + - @ tab or CR is prefixed with ' so Excel / Sheets do not run it as a formula (stripped again on import)
+const FORMULA_START = /^[=+\-@\t\r]/;
+function csvEscape(v) { let s = v == null ? '' : String(v); if (typeof v === 'string' && FORMULA_START.test(s)) s = `'${s}`; return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; }
+function toCSV(rows, columns) { return [columns.join(','), ...rows.map(r => columns.map(c => csvEscape(r[c])).join(','))].join('\r\n'); }
+// -> [{ line, data }], line = physical line the record starts on (quoted cells may span several lines)
+function parseCSV(text) {
+  const rows = []; let row = []; let cell = ''; let quoted = false; let line = 1; let start = 1;
+  const src = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '\n' || (ch === '\r' && src[i+1] !== '\n')) line++;
+    if (quoted) { if (ch === '"' && src[i+1] === '"') { cell += '"'; i++; } else if (ch === '"') quoted = false; else cell += ch; continue; }
+    if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') { if (ch === '\r' && src[i+1] === '\n') { i++; line++; } row.push(cell); rows.push({ line: start, cells: row }); row = []; cell = ''; start = line; }
+    else cell += ch;
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push({ line: start, cells: row }); }
+  const [header = { cells: [] }, ...body] = rows.filter(r => r.cells.some(c => c.trim() !== ''));
+  const keys = header.cells.map(h => h.trim().toLowerCase());
+  return body.map(r => ({ line: r.line, data: Object.fromEntries(keys.map((k, i) => [k, (r.cells[i] ?? '').trim().replace(/^'(?=[=+\-@])/, '')])) }));
+}
+function downloadFile(filename, content, type = 'text/csv;charset=utf-8') { const url = URL.createObjectURL(new Blob(['\uFEFF' + content], { type })); const a = document.createElement('a'); a.href = url; a.download = filename; a.click(); URL.revokeObjectURL(url); }
+function parseBool(v, fallback = true) { const s = String(v ?? '').trim().toLowerCase(); if (!s) return fallback; return ['1','true','ya','yes','y','tersedia'].includes(s); }
+
+// every row of a table in chunks of 1000 (maintenance scans)
+async function fetchAllRows(table, columns) { const all = [];
+  for (let from = 0; ; from += 1000) { const { data, error } = await db.supabase.from(table).select(columns).range(from, from + 999); if (error) throw error; all.push(...(data || [])); if (!data || data.length < 1000) break; }
+  return all;
+}
+
+// --- Product variants (product_variants: size / color, sku, price override, stock; products.available follows stock in the DB) ---
+const variantLabel = v => [v.size, v.color].filter(Boolean).join(' / ');
+const uniqueValues = (variants, key) => [...new Set(variants.map(v => v[key]).filter(Boolean))];
+// --- Sale pricing: isOnSale / salePrice / discountPercent live in ./pricing.js (shared with the prerender script) ---
+// promo fields in the Dashboard form (datetime-local inputs hold local time)
+function toLocalInput(iso) { if (!iso) return ''; const d = new Date(iso); return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16); }
+function saleFormFields(p) { return { sale_type: p.sale_percent != null ? 'percent' : (p.sale_price != null ? 'price' : ''), sale_value: p.sale_percent ?? p.sale_price ?? '', sale_starts_at: toLocalInput(p.sale_starts_at), sale_ends_at: toLocalInput(p.sale_ends_at) }; }
+// form -> [columns, errorMessage]; an empty start means "from now"
+function salePayload(f) {
+  if (!f.sale_type) return [{ sale_price: null, sale_percent: null, sale_starts_at: null, sale_ends_at: null }, null];
+  const value = Number(f.sale_value);
+  if (!(value > 0)) return [null, 'Nilai promo harus lebih dari 0'];
+  if (f.sale_type === 'percent' && value >= 100) return [null, 'Diskon persen harus di bawah 100'];
+  if (f.sale_type === 'price' && value >= (Number(f.price) || 0)) return [null, 'Harga promo harus di bawah harga normal'];
+  const starts = f.sale_starts_at ? new Date(f.sale_starts_at) : new Date(); const ends = f.sale_ends_at ? new Date(f.sale_ends_at) : null;
+  if (ends && ends <= starts) return [null, 'Akhir promo harus setelah mulai promo'];
+  return [{ sale_price: f.sale_type === 'price' ? value : null, sale_percent: f.sale_type === 'percent' ? value : null, sale_starts_at: starts.toISOString(), sale_ends_at: ends ? ends.toISOString() : null }, null];
+}
+
+// editor rows -> error message or null
+function validateVariants(rows) { const seen = new Set();
+  for (const v of rows) { const label = variantLabel(v) || '(kosong)';
+    if (!v.size.trim() && !v.color.trim()) return 'Setiap varian butuh ukuran atau warna';
+    const key = `${slugify(v.size)}|${slugify(v.color)}`; if (seen.has(key)) return `Varian ${label} dobel`; seen.add(key);
+    if (!/^\d+$/.test(String(v.stock).trim())) return `Stok ${label} harus angka bulat >= 0`;
+    if (v.price !== '' && !(Number(v.price) >= 0)) return `Harga ${label} tidak valid`; }
+  return null; }
+
+// --- Product history (audit_log rows written by triggers on products / brands) ---
+// fields shown in the timeline diff and restored by a revert; ids, timestamps and trash columns are left alone
+const HISTORY_FIELDS = { code: 'Kode', name: 'Nama', brand_id: 'Brand', category: 'Kategori', price: 'Harga', sale_price: 'Harga promo', sale_percent: 'Diskon %', sale_starts_at: 'Promo mulai', sale_ends_at: 'Promo berakhir', available: 'Tersedia', affiliate_url: 'Link affiliate', image_url: 'Gambar', thumb_url: 'Thumbnail' };
+const HISTORY_ACTIONS = { insert: 'Dibuat', update: 'Diubah', trash: 'Dipindah ke sampah', restore: 'Dipulihkan', delete: 'Dihapus permanen' };
+function changedFields(entry) { if (!entry.old_data || !entry.new_data) return []; return Object.keys(HISTORY_FIELDS).filter(k => JSON.stringify(entry.old_data[k] ?? null) !== JSON.stringify(entry.new_data[k] ?? null)); }
+async function restoreProduct(id) { const { error } = await db.restoreProduct(id); if (error) { console.error(error); toast.error('Gagal memulihkan produk'); return false; } toast.success('Produk dipulihkan'); return true; }
+
+// --- Page meta (src/seo.js); the prerendered HTML carries the same tags (normal prices, no sale) for crawlers that don't run JS ---
+// meta = null keeps the current tags (e.g. while loading); the catalog defaults come back when the page unmounts
+function usePageMeta(meta) {
+  const key = meta ? JSON.stringify(meta) : '';
+  useEffect(() => { if (!key) return; applyMeta(JSON.parse(key)); return () => applyMeta(catalogMeta({ origin: window.location.origin })); }, [key]);
+}
+
+// --- Categories (categories table: name, slug, icon, sort_order, code_prefix, visible) ---
+// categories ordered for display; null while loading. The public catalog only gets visible ones.
+function useCategories({ includeHidden = false } = {}) {
+  const [categories, setCategories] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  useEffect(() => { let cancelled = false;
+    db.fetchCategories({ includeHidden }).then(data => { if (!cancelled) setCategories(data); });
+    return () => { cancelled = true; };
+  }, [includeHidden, reloadKey]);
+  return { categories, reloadCategories: () => setReloadKey(k => k + 1) };
+}
+
+// sections to show for the current filter: every category plus uncategorised, or only the selected slug
+function sectionsFor(categories, slug) { if (!categories) return []; const all = [...categories, NO_CATEGORY]; return slug ? all.filter(c => c.slug === slug) : all; }
+
+// --- Filter state in URL query params (?q=&category=&brand=&min=&max=&sort=) so views can be bookmarked/shared ---
+// (readFilters / SORTS in ./catalog.js; the server-side query behind them is db.fetchProducts)
+function useUrlFilters() {
+  const [params, setParams] = useSearchParams();
+  const filters = useMemo(() => readFilters(params), [params]);
+  function setFilter(key, value) { setParams(prev => { const next = new URLSearchParams(prev); if (value === '' || value == null || (key === 'sort' && value === 'newest')) next.delete(key); else next.set(key, value); return next; }, { replace: true }); }
+  function clearFilters() { setParams({}, { replace: true }); }
+  return { filters, setFilter, clearFilters };
+}
+
+// --- Realtime: row changes on the given tables (db.subscribe) ---
+// onChange always sees the latest render's state; the channel is only re-created when the table list changes
+function useRealtime(tables, onChange) {
+  const onChangeRef = useRef(onChange);
+  useEffect(() => { onChangeRef.current = onChange; });
+  const key = tables.join(',');
+  useEffect(() => db.subscribe(key.split(','), payload => onChangeRef.current(payload)), [key]);
+}
+
+// --- Paginated product sections (one per category), first page of each loaded on filter change ---
+// realtime changes are merged into the loaded pages; rows that may newly match the filters trigger a (debounced) refetch
+function useProductSections(filters, categories, { onlyAvailable = false } = {}) {
+  const [sections, setSections] = useState({}); // keyed by category slug
+  const [reloadKey, setReloadKey] = useState(0);
+  const genRef = useRef(0); // bumps on every refetch so late responses for old filters are dropped
+  const brandIdsRef = useRef([]);
+  const reloadTimer = useRef(null);
+  const order = sectionsFor(categories, filters.category);
+
+  useEffect(() => () => clearTimeout(reloadTimer.current), []);
+  function scheduleReload() { clearTimeout(reloadTimer.current); reloadTimer.current = setTimeout(() => setReloadKey(k => k + 1), 1000); }
+  function mapSections(fn) { setSections(prev => Object.fromEntries(Object.entries(prev).map(([k, sec]) => [k, fn(sec)]))); }
+
+  // product_trash: anonymous visitors get no event for a product moved to the trash (RLS hides the new row), only this one
+  useRealtime(['products', 'brands', 'product_trash'], ({ table, eventType, new: row, old }) => {
+    if (table === 'product_trash') { if (eventType !== 'DELETE') mapSections(sec => sec.items.some(p => p.id === row.product_id) ? { ...sec, items: sec.items.filter(p => p.id !== row.product_id), total: Math.max(0, sec.total - 1) } : sec); return; }
+    if (table === 'brands') { if (eventType !== 'DELETE') mapSections(sec => ({ ...sec, items: sec.items.map(p => p.brand_id === row.id ? { ...p, brands: { ...p.brands, name: row.name, slug: row.slug, logo_url: row.logo_url } } : p) })); return; }
+    const id = row?.id ?? old?.id; const current = Object.values(sections).flatMap(sec => sec.items).find(p => p.id === id);
+    const sameBrand = !!current && row?.brand_id === current.brand_id;
+    // a changed brand's slug is unknown here, so it is assumed to match and left to the refetch
+    const matching = !!row && order.some(category => productMatches(row, filters, { category, brandIds: brandIdsRef.current, onlyAvailable, brandSlug: sameBrand ? current.brands?.slug ?? null : filters.brand }));
+    if (current && eventType === 'UPDATE' && matching && sameBrand && row.category === current.category) { mapSections(sec => ({ ...sec, items: sec.items.map(p => p.id === id ? { ...p, ...row } : p) })); return; }
+    if (current) mapSections(sec => sec.items.some(p => p.id === id) ? { ...sec, items: sec.items.filter(p => p.id !== id), total: Math.max(0, sec.total - 1) } : sec);
+    if (matching) scheduleReload(); // new row, or moved to another section / brand
+  });
+
+  // with ?sale=1 a sale running out is no row change: refetch once the first loaded sale has ended
+  useEffect(() => { if (!filters.sale) return; const now = Date.now();
+    const ends = Object.values(sections).flatMap(sec => sec.items).map(p => Date.parse(p.sale_ends_at)).filter(t => t > now); if (!ends.length) return;
+    const timer = setTimeout(() => setReloadKey(k => k + 1), Math.min(Math.min(...ends) - now + 1000, 2 ** 31 - 1)); return () => clearTimeout(timer);
+  }, [filters.sale, sections]);
+
+  useEffect(() => {
+    const gen = ++genRef.current; const list = sectionsFor(categories, filters.category);
+    setSections(Object.fromEntries(list.map(c => [c.slug, { items: [], total: 0, loading: true }])));
+    if (!categories) return;
+    (async () => {
+      const brandIds = await db.matchBrandIds(filters.q); if (gen !== genRef.current) return; brandIdsRef.current = brandIds;
+      await Promise.all(list.map(async category => { const { items, total } = await db.fetchProducts(filters, { category, brandIds, onlyAvailable }); if (gen === genRef.current) setSections(prev => ({ ...prev, [category.slug]: { items, total, loading: false } })); }));
+    })();
+  }, [filters, categories, onlyAvailable, reloadKey]);
+
+  async function loadMore(category) { const key = category.slug; const sec = sections[key]; if (!sec || sec.loading || sec.items.length >= sec.total) return; const gen = genRef.current;
+    setSections(prev => ({ ...prev, [key]: { ...prev[key], loading: true } }));
+    const { items, total } = await db.fetchProducts(filters, { category, from: sec.items.length, brandIds: brandIdsRef.current, onlyAvailable });
+    if (gen !== genRef.current) return;
+    setSections(prev => { const seen = new Set(prev[key].items.map(p => p.id)); return { ...prev, [key]: { items: [...prev[key].items, ...items.filter(p => !seen.has(p.id))], total, loading: false } }; });
+  }
+
+  const loading = !categories || Object.values(sections).some(s => s.loading && s.items.length === 0);
+  return { sections, order, loadMore, loading, reload: () => setReloadKey(k => k + 1) };
+}
+
+// storefront notice while the service worker answers catalog reads from its cache (offline or very slow network);
+// coming back online refetches via onRetry
+function OfflineNotice({ onRetry }) {
+  const [state, setState] = useState(() => ({ offline: !navigator.onLine, cachedAt: null }));
+  const onRetryRef = useRef(onRetry);
+  useEffect(() => { onRetryRef.current = onRetry; });
+  useEffect(() => {
+    const sw = navigator.serviceWorker;
+    const onMessage = e => { if (e.data?.type !== 'catalog-data') return;
+      if (e.data.source === 'cache') setState(s => ({ offline: true, cachedAt: s.cachedAt && e.data.cachedAt && s.cachedAt < e.data.cachedAt ? s.cachedAt : (e.data.cachedAt || s.cachedAt) })); // oldest cached response shown
+      else if (navigator.onLine) setState({ offline: false, cachedAt: null }); };
+    const onOnline = () => { setState(s => ({ ...s, offline: false })); onRetryRef.current(); };
+    const onOffline = () => setState(s => ({ ...s, offline: true }));
+    sw?.addEventListener('message', onMessage); window.addEventListener('online', onOnline); window.addEventListener('offline', onOffline);
+    return () => { sw?.removeEventListener('message', onMessage); window.removeEventListener('online', onOnline); window.removeEventListener('offline', onOffline); };
+  }, []);
+  if (!state.offline && !state.cachedAt) return null;
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-sm bg-yellow-50 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200 rounded-lg p-2">
+      <span className="mr-auto">{navigator.onLine ? 'Koneksi lambat' : 'Anda sedang offline'} — menampilkan katalog tersimpan{state.cachedAt ? `, terakhir diperbarui ${new Date(state.cachedAt).toLocaleString('id-ID')}` : ''}.</span>
+      {navigator.onLine && <button type="button" onClick={() => { setState({ offline: false, cachedAt: null }); onRetry(); }} className="underline">Coba lagi</button>}
+    </div>
+  );
+}
+
+// "load more" for a section; with auto it also triggers itself when scrolled into view (infinite scroll)
+function LoadMore({ section, onLoadMore, auto = false }) {
+  const ref = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  useEffect(() => { onLoadMoreRef.current = onLoadMore; });
+  const hasMore = !!section && section.items.length < section.total; const busy = !!section?.loading;
+  useEffect(() => { const el = ref.current; if (!auto || !el || !hasMore || busy || typeof IntersectionObserver === 'undefined') return;
+    const io = new IntersectionObserver(entries => { if (entries.some(e => e.isIntersecting)) onLoadMoreRef.current(); }, { rootMargin: '200px' });
+    io.observe(el); return () => io.disconnect();
+  }, [auto, hasMore, busy]);
+  if (!hasMore) return null;
+  return (<div ref={ref} className="text-center mt-4"><button type="button" onClick={onLoadMore} disabled={busy} className="text-sm border border-gray-200 dark:border-gray-700 px-4 py-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-50">{busy ? 'Memuat...' : `Muat lebih banyak (${section.items.length}/${section.total})`}</button></div>);
+}
+
+// search / category / brand / price range / sort controls; text and price inputs are debounced before hitting the URL.
+// brands = null hides the brand select (brand pages already filter by brand)
+function ProductFilterBar({ filters, setFilter, clearFilters, categories, brands = [], searchPlaceholder = 'Cari kode / nama / brand...' }) {
+  const [draft, setDraft] = useState({ q: filters.q, min: filters.min, max: filters.max });
+  const [synced, setSynced] = useState(filters);
+  if (synced !== filters) { // URL changed from outside (back/forward, reset) -> pull the new values into the inputs
+    setSynced(filters); setDraft(d => ({ q: synced.q !== filters.q ? filters.q : d.q, min: synced.min !== filters.min ? filters.min : d.min, max: synced.max !== filters.max ? filters.max : d.max }));
+  }
+  const timers = useRef({});
+  const setFilterRef = useRef(setFilter);
+  useEffect(() => { setFilterRef.current = setFilter; });
+  useEffect(() => { const t = timers.current; return () => Object.values(t).forEach(clearTimeout); }, []);
+  function setDebounced(key, value) { setDraft(d => ({ ...d, [key]: value })); clearTimeout(timers.current[key]); timers.current[key] = setTimeout(() => setFilterRef.current(key, value), 350); }
+  const active = filters.q || filters.category || filters.brand || filters.min || filters.max || filters.sale || filters.sort !== 'newest';
+  const inputCls = 'border p-2 rounded-lg bg-white dark:bg-gray-800 dark:border-gray-700';
+
+  return (
+    <div className="space-y-2 mb-6">
+      <input placeholder={searchPlaceholder} value={draft.q} onChange={(e)=>setDebounced('q', e.target.value)} className={`w-full ${inputCls}`} />
+      <div className="flex flex-wrap gap-2 text-sm">
+        <select value={filters.category} onChange={(e)=>setFilter('category', e.target.value)} className={inputCls}><option value="">Semua kategori</option>{sectionsFor(categories || [], '').map(c=> <option key={c.slug} value={c.slug}>{c.name}</option>)}</select>
+        {brands && <select value={filters.brand} onChange={(e)=>setFilter('brand', e.target.value)} className={inputCls}><option value="">Semua brand</option>{brands.map(b=> <option key={b.id} value={b.slug}>{b.name}</option>)}</select>}
+        <input type="number" min="0" placeholder="Harga min" title="Harga normal, sebelum promo" value={draft.min} onChange={(e)=>setDebounced('min', e.target.value)} className={`w-28 ${inputCls}`} />
+        <input type="number" min="0" placeholder="Harga max" title="Harga normal, sebelum promo" value={draft.max} onChange={(e)=>setDebounced('max', e.target.value)} className={`w-28 ${inputCls}`} />
+        <label className={`flex items-center gap-1 cursor-pointer ${inputCls} ${filters.sale ? 'border-red-500 text-red-600' : ''}`}><input type="checkbox" checked={!!filters.sale} onChange={(e)=>setFilter('sale', e.target.checked ? '1' : '')} /> Sale</label>
+        <select value={filters.sort} onChange={(e)=>setFilter('sort', e.target.value)} className={inputCls}>{Object.entries(SORTS).map(([k, s])=> <option key={k} value={k}>{s.label}</option>)}</select>
+        {active && <button type="button" onClick={clearFilters} className="text-gray-500 hover:underline px-2">Reset filter</button>}
+      </div>
+    </div>
+  );
+}
 
 // ------------------ Brand-enabled Dashboard (with search + grouped view) ------------------
 function Dashboard() {
-  const { user } = React.useContext(AuthContext);
+  const { user, role } = React.useContext(AuthContext);
+  const canManage = roleCan(role, 'manage'); const canPrice = roleCan(role, 'pricing');
   const fileRef = useRef(null);
-  const [products, setProducts] = useState([]);
+  const { filters, setFilter, clearFilters } = useUrlFilters();
+  const { categories } = useCategories({ includeHidden: true });
+  const { sections, order, loadMore, reload } = useProductSections(filters, categories);
   const [brands, setBrands] = useState([]); // list of brands for suggestions
   const [brandQuery, setBrandQuery] = useState('');
   const [brandSuggestionsOpen, setBrandSuggestionsOpen] = useState(false);
   const [selectedBrandId, setSelectedBrandId] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [form, setForm] = useState({ id:null, code:'', name:'', brand_name:'', brand_id:null, category:'Shirts', price:'', available:true, affiliate_url:'', image_url:'' });
-  const [file, setFile] = useState(null);
-  const [search, setSearch] = useState('');
-  const categories = ['Shirts','TShirts','Jackets','Pants','Accessories','Shoes','Bags'];
+  const [form, setForm] = useState({ id:null, code:'', name:'', brand_name:'', brand_id:null, category:'', price:'', available:true, affiliate_url:'', sale_type:'', sale_value:'', sale_starts_at:'', sale_ends_at:'', updated_at:null }); // updated_at = version loaded into the form
+  const [images, setImages] = useState([]); // form gallery in display order, first = cover; picked files carry file + preview
+  const [removedImages, setRemovedImages] = useState([]); // saved images removed in the form, deleted on save
+  const [variants, setVariants] = useState([]); // variant editor rows { key, id?, size, color, price ('' = product price), stock }
+  const dragIndex = useRef(null);
+  const [cleaningFiles, setCleaningFiles] = useState(false);
+  const [importRows, setImportRows] = useState([]); // parsed CSV rows awaiting confirmation
+  const [importReport, setImportReport] = useState([]); // per-row result after import
+  const [importing, setImporting] = useState(false);
+  const [codeConflict, setCodeConflict] = useState(null); // product already using the manually typed code
+  const [remoteChange, setRemoteChange] = useState(null); // newer row for the product in the form, changed by someone else
+  const [duplicates, setDuplicates] = useState(null); // { groups, missing } from the code maintenance check
+  const [checkingCodes, setCheckingCodes] = useState(false);
+  const importRef = useRef(null);
 
-  useEffect(()=>{ if (!user) return; fetchProducts(); fetchBrands(); }, [user]);
+  useEffect(()=>{ if (!user) return; loadBrands(); }, [user]);
 
-  async function fetchProducts(){ setLoading(true); // include brand relation: brands(name)
-    const { data } = await supabase.from('products').select('*, brands(name)').order('created_at', { ascending: false });
-    setProducts(data || []); setLoading(false);
-  }
+  // product list merging happens in useProductSections; here: brand suggestions + "changed under you" warning for the form
+  useRealtime(['products', 'brands'], ({ table, eventType, new: row, old }) => {
+    if (table === 'brands') { loadBrands(); return; }
+    const id = row?.id ?? old?.id;
+    if (form.id && id === form.id && (eventType === 'DELETE' || row.updated_at !== form.updated_at)) setRemoteChange(eventType === 'DELETE' ? { deleted: true } : row);
+  });
+
+  // warn while typing a manual code that another product already uses (codes are unique case-insensitively)
+  useEffect(()=>{ const code = (form.code||'').trim(); if (!code) { setCodeConflict(null); return; } let cancelled = false;
+    const t = setTimeout(async ()=>{ const taken = await db.findProductByCode(code, form.id); if (!cancelled) setCodeConflict(taken); }, 300);
+    return ()=>{ cancelled = true; clearTimeout(t); };
+  }, [form.code, form.id]);
 
-  async function fetchBrands(){ const { data } = await supabase.from('brands').select('*').order('name', { ascending: true }); setBrands(data || []); }
+  async function loadBrands(){ setBrands(await db.fetchBrands()); }
 
-  async function uploadFileIfAny(){ if (!file) return form.image_url || null; const fileName = `${Date.now()}_${file.name.replace(/\s+/g,'_')}`; const { error } = await supabase.storage.from('product-images').upload(fileName, file); if (error) { console.error(error); toast.error('Gagal upload gambar'); return form.image_url || null; } const { data: publicUrl } = supabase.storage.from('product-images').getPublicUrl(fileName); return publicUrl.publicUrl; }
+  // --- Gallery editing (nothing touches storage until save) ---
+  function addImageFiles(e){ const files = Array.from(e.target.files || []).filter(f => f.type.startsWith('image/'));
+    setImages(imgs => [...imgs, ...files.map(f => ({ key: `new-${Date.now()}-${Math.random()}`, file: f, preview: URL.createObjectURL(f) }))]); if (fileRef.current) fileRef.current.value = null; }
+  function removeImage(index){ const img = images[index]; if (img.preview) URL.revokeObjectURL(img.preview); else setRemovedImages(r => [...r, img]); setImages(images.filter((_, i) => i !== index)); }
+  function moveImage(from, to){ if (from == null || from === to) return; const next = [...images]; const [moved] = next.splice(from, 1); next.splice(to, 0, moved); setImages(next); }
+
+  // uploads the images picked in the form; returns the gallery with storage fields filled in (failed uploads dropped) and the fresh uploads for rollback
+  async function uploadPendingImages(){ const gallery = []; const uploaded = [];
+    for (const img of images) { if (!img.file) { gallery.push(img); continue; }
+      try { const row = { ...img, ...(await db.uploadProductImage(img.file)), file: null }; gallery.push(row); uploaded.push(row); }
+      catch (err) { console.error(err); toast.error(`Gagal upload ${img.file.name}`); } }
+    return { gallery, uploaded };
+  }
 
-  function generateCodeForCategory(cat){ const prefix = (cat||'OTH').substring(0,3).toUpperCase(); const count = products.filter(p=>p.category===cat).length; return `${prefix}${String(count+1).padStart(3,'0')}`; }
+  function resetForm(){ images.forEach(img => img.preview && URL.revokeObjectURL(img.preview)); setForm({ id:null, code:'', name:'', brand_name:'', brand_id:null, category:'', price:'', available:true, affiliate_url:'', sale_type:'', sale_value:'', sale_starts_at:'', sale_ends_at:'', updated_at:null }); setRemoteChange(null); setImages([]); setVariants([]); setRemovedImages([]); if (fileRef.current) fileRef.current.value=null; setSelectedBrandId(null); }
 
   // select a suggestion
   function pickBrandSuggestion(b){ setForm({...form, brand_name: b.name}); setSelectedBrandId(b.id); setBrandQuery(''); setBrandSuggestionsOpen(false); }
 
   // on save: ensure brand exists (if selectedBrandId use it, else try to find by name or create)
-  async function ensureBrandId(brandName){ if (!brandName) return null; // try selected
-    if (selectedBrandId) return selectedBrandId; // find existing
-    const found = brands.find(b => b.name.toLowerCase() === brandName.trim().toLowerCase()); if (found) return found.id; // insert new
-    const { data, error } = await supabase.from('brands').insert([{ name: brandName.trim() }]).select('id').single(); if (error) { console.error(error); toast.error('Gagal menyimpan brand'); return null; } // refresh brands list
-    fetchBrands(); return data.id;
+  async function formBrandId(brandName){ if (!brandName) return null; // try selected
+    if (selectedBrandId) return selectedBrandId; // find existing or insert new
+    const list = [...brands]; const id = await db.ensureBrandId(brandName, list); if (!id) { toast.error('Gagal menyimpan brand'); return null; }
+    if (list.length !== brands.length) loadBrands(); // refresh brands list
+    return id;
   }
 
-  async function handleSaveOrUpdate(e){ e && e.preventDefault(); setLoading(true); const imageUrl = await uploadFileIfAny(); const brandId = await ensureBrandId(form.brand_name); const payload = { code: form.code || generateCodeForCategory(form.category), name: form.name||'', brand_id: brandId||null, category: form.category||'Other', price: Number(form.price)||0, available: !!form.available, affiliate_url: form.affiliate_url||null, image_url: imageUrl||null };
-    if (form.id){ const { error } = await supabase.from('products').update(payload).eq('id', form.id); if (error) toast.error('Gagal update produk'); else toast.success('Produk berhasil diupdate'); }
-    else { const { error } = await supabase.from('products').insert([payload]); if (error) toast.error('Gagal menyimpan produk'); else toast.success('Produk berhasil disimpan'); }
-    setForm({ id:null, code:'', name:'', brand_name:'', brand_id:null, category:'Shirts', price:'', available:true, affiliate_url:'', image_url:'' }); setFile(null); if (fileRef.current) fileRef.current.value=null; setSelectedBrandId(null); await fetchProducts(); setLoading(false); }
+  // the cover (first gallery image) is mirrored into products.image_url / thumb_url for cards and legacy readers
+  // force = overwrite even if the product changed since it was loaded into the form
+  // with variants, available = any variant in stock (the DB trigger keeps it that way afterwards)
+  async function handleSaveOrUpdate(e, { force = false } = {}){ e && e.preventDefault(); const variantError = validateVariants(variants); if (variantError) { toast.error(variantError); return; }
+    const [sale, saleError] = salePayload(form); if (saleError) { toast.error(saleError); return; }
+    setLoading(true); const { gallery, uploaded } = await uploadPendingImages(); const brandId = await formBrandId(form.brand_name); const cover = gallery[0]; const payload = { name: form.name||'', brand_id: brandId||null, category: form.category||null, price: Number(form.price)||0, ...sale, available: variants.length ? variants.some(v => Number(v.stock) > 0) : !!form.available, affiliate_url: form.affiliate_url||null, image_url: cover?.url||null, thumb_url: cover?.thumb_url||cover?.url||null };
+    const { id, code, error } = await db.saveProduct(payload, form.code, form.id, force ? null : form.updated_at);
+    if (error) await db.removeProductImageFiles(uploaded); // failed save: nothing references the fresh uploads
+    else { const { error: imageError } = await db.syncProductImages(id, gallery, removedImages); if (imageError) { console.error(imageError); toast.error('Sebagian gambar gagal disimpan'); } }
+    if (!error) { const { error: variantSaveError } = await db.syncProductVariants(id, code, variants); if (variantSaveError) { console.error(variantSaveError); toast.error('Produk tersimpan, tapi varian gagal disimpan'); } }
+    if (error?.code === 'conflict') { warnConflict(() => handleSaveOrUpdate(null, { force: true })); setLoading(false); return; }
+    if (error?.code === 'code_exhausted') { toast.error('Gagal membuat kode unik, coba simpan lagi'); setLoading(false); return; }
+    if (error && db.isDuplicateCodeError(error)) { toast.error(`Kode ${(code || form.code).trim().toUpperCase()} sudah dipakai produk lain`); setLoading(false); return; }
+    if (form.id){ if (error) toast.error('Gagal update produk'); else toast.success('Produk berhasil diupdate'); }
+    else { if (error) toast.error('Gagal menyimpan produk'); else toast.success('Produk berhasil disimpan'); }
+    resetForm(); reload(); setLoading(false); }
+
+  // --- Variant editor ---
+  function addVariant(){ setVariants(vs => [...vs, { key: `new-${Date.now()}-${vs.length}`, size:'', color:'', price:'', stock:'0' }]); }
+  function updateVariant(key, field, value){ setVariants(vs => vs.map(v => v.key === key ? { ...v, [field]: value } : v)); }
+  function removeVariant(key){ setVariants(vs => vs.filter(v => v.key !== key)); }
+
+  // editors may only touch price, promo and availability (guard_editor_product_update rejects anything else server-side)
+  // variant rows: only price + stock (guard_editor_variant_update); available then follows stock
+  async function handlePriceUpdate(e, { force = false } = {}){ e && e.preventDefault(); if (!form.id) return; const variantError = validateVariants(variants); if (variantError) { toast.error(variantError); return; }
+    const [sale, saleError] = salePayload(form); if (saleError) { toast.error(saleError); return; } setLoading(true);
+    const { error } = await db.updatePricing(form.id, { price: Number(form.price)||0, ...sale, available: variants.length ? variants.some(v => Number(v.stock) > 0) : !!form.available }, variants, force ? null : form.updated_at);
+    if (error?.code === 'conflict') { warnConflict(() => handlePriceUpdate(null, { force: true })); setLoading(false); return; }
+    if (error) { console.error(error); toast.error('Gagal update produk'); } else toast.success('Harga & ketersediaan diupdate');
+    resetForm(); reload(); setLoading(false); }
+
+  // the product in the form was saved by someone else since it was loaded: keep the form, offer to overwrite
+  function warnConflict(overwrite){ toast.error('Produk ini sudah diubah oleh admin lain', { description: 'Muat versi terbaru atau timpa dengan isian form ini.', duration: 10000, action: { label: 'Timpa', onClick: overwrite }, cancel: { label: 'Muat terbaru', onClick: reloadFormProduct } }); }
+  async function reloadFormProduct(){ const data = await db.fetchProduct(form.id); if (data && !data.deleted_at) handleEdit(data); else { toast.error('Produk sudah dihapus'); resetForm(); } }
 
   async function handleEdit(p){ // p may include brands object
-    setForm({ id:p.id, code:p.code, name:p.name, brand_name: p.brands?.name || '', brand_id: p.brand_id || null, category:p.category, price:p.price ?? '', available:!!p.available, affiliate_url:p.affiliate_url || '', image_url:p.image_url || '' }); setSelectedBrandId(p.brand_id || null); window.scrollTo({top:0, behavior:'smooth'}); }
+    resetForm(); setForm({ id:p.id, code:p.code, name:p.name, brand_name: p.brands?.name || '', brand_id: p.brand_id || null, category:p.category||'', price:p.price ?? '', available:!!p.available, affiliate_url:p.affiliate_url || '', ...saleFormFields(p), updated_at: p.updated_at || null }); setSelectedBrandId(p.brand_id || null); window.scrollTo({top:0, behavior:'smooth'});
+    const { images: data, variants: vs } = await db.fetchProductDetails(p.id);
+    setVariants(vs.map(v => ({ key: `var-${v.id}`, id: v.id, size: v.size || '', color: v.color || '', price: v.price ?? '', stock: String(v.stock) })));
+    // products saved before galleries only have image_url; it becomes the first gallery row on the next save
+    setImages(data.length ? data.map(img => ({ ...img, key: `img-${img.id}` })) : (p.image_url ? [{ key: 'legacy', url: p.image_url, thumb_url: p.thumb_url || p.image_url }] : []));
+  }
   
   async function handleConfirmDelete(id){
-    toast('Hapus produk ini?', {
+    toast('Pindahkan produk ini ke sampah?', {
       action: {
         label: 'Hapus',
         onClick: () => handleDelete(id),
@@ -157,46 +543,129 @@ function Dashboard() {
       }
     })
   }
+  // soft-delete: the product moves to /dashboard/trash (files are kept until it is deleted permanently there)
   async function handleDelete(id){
-    const { error } = await supabase.from('products').delete().eq('id', id); 
-    if (error) toast.error('Gagal menghapus'); else { toast.success('Produk dihapus'); 
-      fetchProducts(); } 
+    const { error } = await db.trashProduct(id, user.id);
+    if (error) { toast.error('Gagal menghapus'); return; }
+    if (form.id === id) resetForm();
+    toast.success('Produk dipindah ke sampah', { action: { label: 'Urungkan', onClick: () => restoreProduct(id).then(ok => ok && reload()) } });
+    reload();
   }
 
-  // suggestions filtered locally for instant UX
-  const brandSuggestions = brandQuery ? brands.filter(b => b.name.toLowerCase().includes(brandQuery.toLowerCase())).slice(0,8) : [];
+  // --- CSV export / import ---
+  const csvColumns = ['code','name','brand','category','price','available','affiliate_url','image_url'];
 
-  // filtering & grouping for dashboard display
-  const filtered = products.filter(p => {
-    const q = (search || '').trim().toLowerCase();
-    if (!q) return true;
-    return (
-      (p.name||'').toLowerCase().includes(q) ||
-      (p.brands?.name||'').toLowerCase().includes(q) ||
-      (p.code||'').toLowerCase().includes(q)
-    );
-  });
+  // exports everything matching the current filters, not just the loaded pages
+  async function handleExportCsv(){ const [section] = filters.category ? sectionsFor(categories, filters.category) : []; const { items: products, error } = await db.fetchAllProducts(filters, { category: section }); if (error) { toast.error('Gagal memuat produk untuk diekspor'); return; } if (products.length === 0) { toast.error('Belum ada produk untuk diekspor'); return; }
+    const rows = products.map(p => ({ ...p, brand: p.brands?.name || '', available: p.available ? 'true' : 'false' }));
+    downloadFile(`produk-${new Date().toISOString().slice(0,10)}.csv`, toCSV(rows, csvColumns)); toast.success(`${rows.length} produk diekspor`);
+  }
 
-  const grouped = {};
-  categories.forEach(c => grouped[c]=[]);
-  filtered.forEach(p => { const cat = categories.includes(p.category) ? p.category : 'Other'; if (!grouped[cat]) grouped[cat]=[]; grouped[cat].push(p); });
+  // validate one CSV row, returns list of error messages (empty = valid)
+  function validateImportRow(r, seenCodes, existingCodes){ const errors = [];
+    if (!r.name) errors.push('Nama kosong');
+    if (r.category) { const cat = (categories||[]).find(c => c.name.toLowerCase() === r.category.toLowerCase() || c.slug === r.category.toLowerCase()); if (cat) r.category = cat.name; else errors.push(`Kategori tidak dikenal: "${r.category}"`); } // empty = Tanpa kategori
+    const price = Number(r.price); if (r.price === '' || r.price == null || !Number.isFinite(price) || price < 0) errors.push(`Harga tidak valid: "${r.price || ''}"`);
+    if (r.affiliate_url && !isValidUrl(r.affiliate_url)) errors.push('Link affiliate tidak valid');
+    if (r.image_url && !isValidUrl(r.image_url)) errors.push('URL gambar tidak valid');
+    if (r.code) { const c = r.code.toUpperCase(); if (existingCodes.has(c) || seenCodes.has(c)) errors.push(`Kode ${r.code} sudah ada`); seenCodes.add(c); }
+    return errors;
+  }
+
+  async function handleImportFile(e){ const f = e.target.files?.[0]; if (!f) return; setImportReport([]);
+    try {
+      const parsed = parseCSV(await f.text()); const seen = new Set();
+      const { codes: existing, error } = await db.findExistingCodes(parsed.filter(r => r.data.code).map(r => r.data.code));
+      if (error) { console.error(error); toast.error('Gagal memeriksa kode yang sudah ada'); }
+      // without the existing codes, rows with a code cannot be checked: they are held back instead of failing on insert
+      const rows = parsed.map(({ line, data }) => ({ line, data, errors: [...validateImportRow(data, seen, existing), ...(error && data.code ? ['Kode belum bisa diperiksa, coba import lagi'] : [])] }));
+      if (rows.length === 0) toast.error('File CSV kosong'); setImportRows(rows);
+    } catch (err) { console.error(err); toast.error('Gagal membaca file CSV'); }
+  }
+
+  function resetImport(){ setImportRows([]); setImportReport([]); if (importRef.current) importRef.current.value = null; }
+
+  async function handleConfirmImport(){ const valid = importRows.filter(r => r.errors.length === 0); if (valid.length === 0) return; setImporting(true);
+    const brandList = [...brands]; const report = [];
+    for (const { line, data: r } of valid) {
+      const brandId = r.brand ? await db.ensureBrandId(r.brand, brandList) : null;
+      if (r.brand && !brandId) { report.push({ line, name: r.name, ok: false, message: 'Gagal menyimpan brand' }); continue; }
+      const payload = { name: r.name, brand_id: brandId, category: r.category || null, price: Number(r.price)||0, available: parseBool(r.available), affiliate_url: r.affiliate_url || null, image_url: r.image_url ? normalizeAffiliate(r.image_url) : null };
+      const { code, error } = await db.saveProduct(payload, r.code);
+      report.push(error ? { line, name: r.name, ok: false, message: db.isDuplicateCodeError(error) ? `Kode ${r.code} sudah ada` : error.message } : { line, name: r.name, ok: true, message: `Tersimpan (${code})` });
+    }
+    importRows.filter(r => r.errors.length > 0).forEach(r => report.push({ line: r.line, name: r.data.name, ok: false, message: r.errors.join('; ') }));
+    report.sort((a, b) => a.line - b.line);
+    setImportReport(report); setImportRows([]); if (importRef.current) importRef.current.value = null;
+    if (brandList.length !== brands.length) loadBrands();
+    reload(); setImporting(false);
+  }
+
+  // --- Code maintenance: find duplicate / empty codes; the oldest product keeps a duplicated code, the rest get a fresh one ---
+  async function handleFindDuplicates(){ setCheckingCodes(true);
+    const { items: all, error } = await db.fetchAllProducts(readFilters(new URLSearchParams())); if (error) { toast.error('Gagal memuat semua produk, periksa kode dibatalkan'); setCheckingCodes(false); return; } const byCode = {};
+    all.forEach(p => { const k = (p.code||'').trim().toUpperCase(); if (k) (byCode[k] ||= []).push(p); });
+    const groups = Object.entries(byCode).filter(([, ps]) => ps.length > 1).map(([code, ps]) => ({ code, items: ps.sort((a, b) => new Date(a.created_at) - new Date(b.created_at)) }));
+    setDuplicates({ groups, missing: all.filter(p => !(p.code||'').trim()) }); setCheckingCodes(false);
+  }
+
+  async function handleFixDuplicates(){ const targets = [...duplicates.groups.flatMap(g => g.items.slice(1)), ...duplicates.missing]; setCheckingCodes(true); let failed = 0;
+    for (const p of targets) { const { error } = await db.saveProduct({ category: p.category }, '', p.id); if (error) { console.error(error); failed++; } }
+    if (failed) toast.error(`${failed} produk gagal diperbaiki`); else toast.success(`${targets.length} kode produk diperbaiki`);
+    setCheckingCodes(false); reload(); handleFindDuplicates();
+  }
+
+  // storage objects no product or gallery row points to; files from the last hour are skipped (may belong to a form being saved)
+  async function handleCleanupFiles(){ setCleaningFiles(true);
+    try {
+      const [imgs, prods] = await Promise.all([fetchAllRows('product_images', 'url, thumb_url, path, thumb_path'), fetchAllRows('products', 'image_url, thumb_url')]);
+      const used = new Set([...imgs.flatMap(i => [i.path || db.storagePathFromUrl(i.url, 'product-images'), i.thumb_path || db.storagePathFromUrl(i.thumb_url, 'product-images')]), ...prods.flatMap(p => [db.storagePathFromUrl(p.image_url, 'product-images'), db.storagePathFromUrl(p.thumb_url, 'product-images')])].filter(Boolean));
+      const bucket = db.supabase.storage.from('product-images'); const cutoff = Date.now() - 60 * 60 * 1000; const orphans = [];
+      for (const folder of ['', 'thumbs']) { for (let offset = 0; ; offset += 1000) { const { data, error } = await bucket.list(folder, { limit: 1000, offset }); if (error) throw error;
+        (data || []).filter(o => o.id && new Date(o.created_at).getTime() < cutoff).forEach(o => { const path = folder ? `${folder}/${o.name}` : o.name; if (!used.has(path)) orphans.push(path); });
+        if (!data || data.length < 1000) break; } }
+      if (orphans.length === 0) toast.success('Tidak ada file yatim');
+      else { for (let i = 0; i < orphans.length; i += 100) { const { error } = await bucket.remove(orphans.slice(i, i + 100)); if (error) throw error; } toast.success(`${orphans.length} file yatim dihapus`); }
+    } catch (err) { console.error(err); toast.error('Gagal membersihkan file'); }
+    setCleaningFiles(false);
+  }
+
+  // suggestions filtered locally for instant UX
+  const brandSuggestions = brandQuery ? brands.filter(b => b.name.toLowerCase().includes(brandQuery.toLowerCase())).slice(0,8) : [];
 
   return (
     <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300 p-4 md:p-8">
       <div className="max-w-4xl mx-auto">
-        <h1 className="text-2xl font-bold mb-4">Dashboard Produk</h1>
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-2xl font-bold">Dashboard Produk</h1>
+          <div className="flex gap-3 text-sm">
+            {canManage && <Link to="/dashboard/trash" className="text-blue-600 hover:underline">Sampah</Link>}
+            {role && <span className="text-xs bg-gray-100 dark:bg-gray-800 px-2 py-0.5 rounded-full self-center">{ROLES[role] || role}</span>}
+            {canManage && <Link to="/dashboard/brands" className="text-blue-600 hover:underline">Kelola brand</Link>}
+            {canManage && <Link to="/dashboard/categories" className="text-blue-600 hover:underline">Kelola kategori</Link>}
+            {roleCan(role, 'users') && <Link to="/dashboard/users" className="text-blue-600 hover:underline">Pengguna</Link>}
+          </div>
+        </div>
+
+        {!canManage && canPrice && !form.id && <p className="text-sm text-gray-500 dark:text-gray-300 mb-4">Klik "Ubah harga" pada produk untuk mengubah harga atau ketersediaan.</p>}
+        {!canManage && !canPrice && role !== undefined && <p className="text-sm text-gray-500 dark:text-gray-300 mb-4">Akun Anda hanya dapat melihat produk.</p>}
 
-        {/* CRUD form (unchanged functionality) */}
-        <form onSubmit={handleSaveOrUpdate} className="space-y-3 bg-white dark:bg-gray-800 dark:border-gray-700 border rounded-xl p-4 shadow transition-colors duration-300">
+        {/* CRUD form: full for owners, price + availability only for editors */}
+        {(canManage || (canPrice && form.id)) && (
+        <form onSubmit={canManage ? handleSaveOrUpdate : handlePriceUpdate} className="space-y-3 bg-white dark:bg-gray-800 dark:border-gray-700 border rounded-xl p-4 shadow transition-colors duration-300">
+          {remoteChange && <div className="flex flex-wrap items-center gap-2 text-sm bg-yellow-50 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-200 rounded-lg p-2">
+            <span className="mr-auto">{remoteChange.deleted || remoteChange.deleted_at ? 'Produk ini baru saja dihapus oleh admin lain.' : 'Produk ini baru saja diubah oleh admin lain. Menyimpan akan menimpa perubahan tersebut.'}</span>
+            <button type="button" onClick={reloadFormProduct} className="underline">Muat versi terbaru</button>
+          </div>}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
-            <select value={form.category} onChange={(e)=>setForm({...form, category:e.target.value})} className="border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600">{categories.map(c=> <option key={c} value={c}>{c}</option>)}</select>
-            <input placeholder="Nama" value={form.name} onChange={(e)=>setForm({...form, name:e.target.value})} className="border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600" />
+            <select value={form.category} disabled={!canManage} onChange={(e)=>setForm({...form, category:e.target.value})} className="border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600"><option value="">— Tanpa kategori —</option>{(categories||[]).map(c=> <option key={c.id} value={c.name}>{c.icon} {c.name}{c.visible ? '' : ' (tersembunyi)'}</option>)}</select>
+            <input placeholder="Nama" value={form.name} disabled={!canManage} onChange={(e)=>setForm({...form, name:e.target.value})} className="border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600" />
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
             {/* Brand autocomplete input */}
             <div className="relative">
-              <input placeholder="Brand" value={form.brand_name} onChange={(e)=>{ setForm({...form, brand_name: e.target.value}); setBrandQuery(e.target.value); setSelectedBrandId(null); setBrandSuggestionsOpen(true); }} onFocus={()=>setBrandSuggestionsOpen(true)} onBlur={()=>setTimeout(()=>setBrandSuggestionsOpen(false), 150)} className="w-full border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600" />
+              <input placeholder="Brand" value={form.brand_name} disabled={!canManage} onChange={(e)=>{ setForm({...form, brand_name: e.target.value}); setBrandQuery(e.target.value); setSelectedBrandId(null); setBrandSuggestionsOpen(true); }} onFocus={()=>setBrandSuggestionsOpen(true)} onBlur={()=>setTimeout(()=>setBrandSuggestionsOpen(false), 150)} className="w-full border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600" />
               {brandSuggestionsOpen && brandSuggestions.length > 0 && (
                 <ul className="absolute z-50 mt-1 w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded shadow max-h-44 overflow-auto">
                   {brandSuggestions.map(b=> (
@@ -210,47 +679,168 @@ function Dashboard() {
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-2 items-center">
-            <label className="flex items-center gap-2"><input type="checkbox" checked={form.available} onChange={(e)=>setForm({...form, available:e.target.checked})} /> <span className="text-sm">Tersedia</span></label>
-            <input placeholder="Link affiliate" value={form.affiliate_url} onChange={(e)=>setForm({...form, affiliate_url:e.target.value})} className="border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600" />
+            <label className="flex items-center gap-2"><input type="checkbox" checked={variants.length ? variants.some(v => Number(v.stock) > 0) : form.available} disabled={variants.length > 0} onChange={(e)=>setForm({...form, available:e.target.checked})} /> <span className="text-sm">Tersedia{variants.length > 0 && <span className="text-xs text-gray-400"> (dari stok varian)</span>}</span></label>
+            <input placeholder="Link affiliate" value={form.affiliate_url} disabled={!canManage} onChange={(e)=>setForm({...form, affiliate_url:e.target.value})} className="border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600" />
+          </div>
+
+          {/* Promo: switches on / off by itself between start and end */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+            <select value={form.sale_type} onChange={(e)=>setForm({...form, sale_type:e.target.value})} className="border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600"><option value="">Tanpa promo</option><option value="price">Harga promo (Rp)</option><option value="percent">Diskon (%)</option></select>
+            {form.sale_type && <>
+              <input placeholder={form.sale_type === 'percent' ? 'Diskon %' : 'Harga promo'} type="number" min="0" value={form.sale_value} onChange={(e)=>setForm({...form, sale_value:e.target.value})} className="border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600" />
+              <label className="flex flex-col text-xs text-gray-500 dark:text-gray-300">Mulai (kosong = sekarang)<input type="datetime-local" value={form.sale_starts_at} onChange={(e)=>setForm({...form, sale_starts_at:e.target.value})} className="border p-1.5 rounded-lg text-sm bg-white dark:bg-gray-700 dark:border-gray-600" /></label>
+              <label className="flex flex-col text-xs text-gray-500 dark:text-gray-300">Berakhir (opsional)<input type="datetime-local" value={form.sale_ends_at} onChange={(e)=>setForm({...form, sale_ends_at:e.target.value})} className="border p-1.5 rounded-lg text-sm bg-white dark:bg-gray-700 dark:border-gray-600" /></label>
+            </>}
+          </div>
+
+          <div>
+            <input placeholder="Kode (kosongkan untuk otomatis)" value={form.code||''} disabled={!canManage} onChange={(e)=>setForm({...form, code:e.target.value})} className={`w-full border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600 ${codeConflict ? 'border-amber-500' : ''}`} />
+            {codeConflict && <p className="text-xs text-amber-600 mt-1">Kode {codeConflict.code} sudah dipakai oleh "{codeConflict.name}"</p>}
           </div>
 
-          <div><input ref={fileRef} type="file" accept="image/*" onChange={(e)=>setFile(e.target.files?.[0]||null)} className="w-full bg-white dark:bg-gray-700" /></div>
+          {/* Variants: owners edit everything, editors only price + stock */}
+          {(canManage || variants.length > 0) && <div>
+            <div className="flex items-center justify-between mb-1">
+              <p className="text-xs text-gray-500 dark:text-gray-300">Varian (ukuran / warna) — SKU: {variantSku(form.code || 'KODE', { size: 'UKURAN', color: 'WARNA' })}</p>
+              {canManage && <button type="button" onClick={addVariant} className="text-xs text-blue-600 hover:underline">+ Tambah varian</button>}
+            </div>
+            {variants.length > 0 && (
+              <div className="space-y-1">
+                {variants.map(v => (
+                  <div key={v.key} className="flex flex-wrap items-center gap-1 text-sm">
+                    <input placeholder="Ukuran" value={v.size} disabled={!canManage} onChange={(e)=>updateVariant(v.key, 'size', e.target.value)} className="w-20 border p-1.5 rounded-md bg-white dark:bg-gray-700 dark:border-gray-600" />
+                    <input placeholder="Warna" value={v.color} disabled={!canManage} onChange={(e)=>updateVariant(v.key, 'color', e.target.value)} className="w-28 border p-1.5 rounded-md bg-white dark:bg-gray-700 dark:border-gray-600" />
+                    <input placeholder={`Harga (${form.price || 'produk'})`} type="number" min="0" value={v.price} onChange={(e)=>updateVariant(v.key, 'price', e.target.value)} className="w-32 border p-1.5 rounded-md bg-white dark:bg-gray-700 dark:border-gray-600" />
+                    <input placeholder="Stok" type="number" min="0" step="1" value={v.stock} onChange={(e)=>updateVariant(v.key, 'stock', e.target.value)} className="w-20 border p-1.5 rounded-md bg-white dark:bg-gray-700 dark:border-gray-600" />
+                    <span className="text-xs text-gray-400 font-mono">{form.code ? variantSku(form.code, v) : ''}</span>
+                    {canManage && <button type="button" onClick={()=>removeVariant(v.key)} className="ml-auto text-xs text-red-600 hover:underline">Hapus</button>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>}
+
+          {/* Gallery: drag to reorder, first image is the cover */}
+          {canManage && <div>
+            {images.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-2">
+                {images.map((img, i) => (
+                  <div key={img.key} draggable onDragStart={()=>{ dragIndex.current = i; }} onDragOver={(e)=>e.preventDefault()} onDrop={(e)=>{ e.preventDefault(); moveImage(dragIndex.current, i); dragIndex.current = null; }} className={`relative w-20 h-20 rounded-lg overflow-hidden border-2 cursor-move ${i===0 ? 'border-blue-600' : 'border-transparent'}`}>
+                    <img src={img.preview || img.thumb_url || img.url} alt="" className="w-full h-full object-cover" />
+                    {i===0 ? <span className="absolute bottom-0 inset-x-0 bg-blue-600 text-white text-[10px] text-center">Cover</span> : <button type="button" onClick={()=>moveImage(i, 0)} className="absolute bottom-0 inset-x-0 bg-black/50 text-white text-[10px]">Jadikan cover</button>}
+                    <button type="button" aria-label="Hapus gambar" onClick={()=>removeImage(i)} className="absolute top-0.5 right-0.5 bg-black/60 text-white rounded-full w-5 h-5 text-xs leading-5">×</button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <input ref={fileRef} type="file" accept="image/*" multiple onChange={addImageFiles} className="w-full bg-white dark:bg-gray-700" />
+          </div>}
 
           <div className="flex gap-2">
             <button type="submit" disabled={loading} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg">{form.id ? (loading ? 'Updating...' : 'Update Produk') : (loading ? 'Saving...' : 'Simpan Produk')}</button>
-            <button type="button" onClick={()=>{ setForm({ id:null, code:'', name:'', brand_name:'', brand_id:null, category:'Shirts', price:'', available:true, affiliate_url:'', image_url:'' }); setFile(null); if (fileRef.current) fileRef.current.value=null; setSelectedBrandId(null); }} className="bg-gray-100 dark:bg-gray-700 px-4 py-2 rounded-lg">Reset</button>
+            <button type="button" onClick={resetForm} className="bg-gray-100 dark:bg-gray-700 px-4 py-2 rounded-lg">{canManage ? 'Reset' : 'Batal'}</button>
           </div>
         </form>
+        )}
+
+        {canPrice && form.id && <PriceHistoryChart key={`price-${form.id}`} productId={form.id} />}
+        {canManage && form.id && <ProductHistory key={form.id} productId={form.id} brands={brands} onReverted={()=>{ resetForm(); reload(); }} />}
+
+        {/* CSV export / import */}
+        <div className="mt-6 bg-white dark:bg-gray-800 dark:border-gray-700 border rounded-xl p-4 shadow transition-colors duration-300">
+          <div className="flex flex-wrap items-center gap-2">
+            <h2 className="text-md font-semibold mr-auto">Import / Export CSV</h2>
+            <button type="button" onClick={handleExportCsv} className="bg-gray-100 dark:bg-gray-700 px-3 py-1.5 rounded-lg text-sm">Export CSV</button>
+            {canManage && <label className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-lg text-sm cursor-pointer">Import CSV<input ref={importRef} type="file" accept=".csv,text/csv" onChange={handleImportFile} className="hidden" /></label>}
+          </div>
+          {canManage && <p className="text-xs text-gray-400 mt-2">Kolom: {csvColumns.join(', ')}. Kode kosong akan dibuat otomatis, brand baru dibuat otomatis.</p>}
+
+          {importRows.length > 0 && (
+            <div className="mt-4">
+              <p className="text-sm mb-2">{importRows.filter(r=>r.errors.length===0).length} dari {importRows.length} baris valid</p>
+              <div className="max-h-72 overflow-auto border rounded-lg dark:border-gray-700">
+                <table className="w-full text-xs text-left">
+                  <thead className="bg-gray-50 dark:bg-gray-700 sticky top-0"><tr><th className="p-2">Baris</th><th className="p-2">Kode</th><th className="p-2">Nama</th><th className="p-2">Brand</th><th className="p-2">Kategori</th><th className="p-2">Harga</th><th className="p-2">Status</th></tr></thead>
+                  <tbody>
+                    {importRows.map(r => (
+                      <tr key={r.line} className={`border-t dark:border-gray-700 ${r.errors.length ? 'bg-red-50 dark:bg-red-900/20' : ''}`}>
+                        <td className="p-2">{r.line}</td><td className="p-2">{r.data.code || <span className="text-gray-400">auto</span>}</td><td className="p-2">{r.data.name}</td><td className="p-2">{r.data.brand}</td><td className="p-2">{r.data.category}</td><td className="p-2">{r.data.price}</td>
+                        <td className="p-2">{r.errors.length ? <span className="text-red-600">{r.errors.join('; ')}</span> : <span className="text-green-600">OK</span>}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="flex gap-2 mt-3">
+                <button type="button" onClick={handleConfirmImport} disabled={importing || importRows.every(r=>r.errors.length>0)} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm">{importing ? 'Importing...' : `Import ${importRows.filter(r=>r.errors.length===0).length} Produk`}</button>
+                <button type="button" onClick={resetImport} disabled={importing} className="bg-gray-100 dark:bg-gray-700 px-4 py-2 rounded-lg text-sm">Batal</button>
+              </div>
+            </div>
+          )}
+
+          {importReport.length > 0 && (
+            <div className="mt-4">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-sm">Hasil import: <span className="text-green-600">{importReport.filter(r=>r.ok).length} berhasil</span>, <span className="text-red-600">{importReport.filter(r=>!r.ok).length} gagal</span></p>
+                <button type="button" onClick={resetImport} className="text-xs text-gray-500 hover:underline">Tutup</button>
+              </div>
+              <ul className="max-h-60 overflow-auto text-xs border rounded-lg dark:border-gray-700 divide-y dark:divide-gray-700">
+                {importReport.map(r => (<li key={r.line} className="p-2 flex gap-2"><span className="text-gray-400 w-14 shrink-0">Baris {r.line}</span><span className="font-medium">{r.name || '—'}</span><span className={`ml-auto ${r.ok ? 'text-green-600' : 'text-red-600'}`}>{r.message}</span></li>))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <ClickAnalytics />
+
+        {canManage && <StoreSettings />}
+
+        {/* Code maintenance */}
+        {canManage && <div className="mt-6 bg-white dark:bg-gray-800 dark:border-gray-700 border rounded-xl p-4 shadow transition-colors duration-300">
+          <div className="flex flex-wrap items-center gap-2">
+            <h2 className="text-md font-semibold mr-auto">Maintenance</h2>
+            <button type="button" onClick={handleFindDuplicates} disabled={checkingCodes} className="bg-gray-100 dark:bg-gray-700 px-3 py-1.5 rounded-lg text-sm disabled:opacity-50">{checkingCodes ? 'Memeriksa...' : 'Cek kode duplikat'}</button>
+            <button type="button" onClick={handleCleanupFiles} disabled={cleaningFiles} className="bg-gray-100 dark:bg-gray-700 px-3 py-1.5 rounded-lg text-sm disabled:opacity-50">{cleaningFiles ? 'Membersihkan...' : 'Bersihkan file gambar yatim'}</button>
+          </div>
+          {duplicates && (duplicates.groups.length === 0 && duplicates.missing.length === 0 ? <p className="text-sm text-green-600 mt-3">Semua kode produk unik.</p> : (
+            <div className="mt-3 text-sm">
+              <ul className="max-h-60 overflow-auto text-xs border rounded-lg dark:border-gray-700 divide-y dark:divide-gray-700">
+                {duplicates.groups.map(g => (<li key={g.code} className="p-2"><span className="font-mono font-semibold">{g.code}</span> dipakai {g.items.length} produk: {g.items.map(p => p.name).join(', ')}</li>))}
+                {duplicates.missing.length > 0 && <li className="p-2">{duplicates.missing.length} produk tanpa kode</li>}
+              </ul>
+              <button type="button" onClick={handleFixDuplicates} disabled={checkingCodes} className="mt-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm">Perbaiki {duplicates.groups.reduce((n, g) => n + g.items.length - 1, 0) + duplicates.missing.length} produk</button>
+            </div>
+          ))}
+        </div>}
 
         {/* SEARCH + Grouped product listing */}
         <div className="mt-8">
-          <div className="flex items-center justify-between mb-4">
-            <h2 className="text-lg font-semibold">Semua Produk</h2>
-            <input placeholder="Cari nama / kode / brand..." value={search} onChange={(e)=>setSearch(e.target.value)} className="border p-2 rounded-lg w-1/2 bg-white dark:bg-gray-800 dark:border-gray-700" />
-          </div>
+          <h2 className="text-lg font-semibold mb-4">Semua Produk</h2>
+          <ProductFilterBar filters={filters} setFilter={setFilter} clearFilters={clearFilters} categories={categories} brands={brands} searchPlaceholder="Cari nama / kode / brand..." />
 
-          {Object.keys(grouped).map(cat => {
-            const items = grouped[cat];
+          {order.map(cat => {
+            const sec = sections[cat.slug]; const items = sec?.items;
             if (!items || items.length===0) return null;
             return (
-              <section key={cat} className="mb-8">
-                <h3 className="text-md font-semibold mb-3">{cat} ({items.length})</h3>
+              <section key={cat.slug} className="mb-8">
+                <h3 className="text-md font-semibold mb-3">{cat.name} ({sec.total}){cat.visible === false && <span className="ml-2 text-xs font-normal text-amber-600">tersembunyi di katalog</span>}</h3>
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                   {items.map(p => (
                     <div key={p.id} className="bg-white dark:bg-gray-800 p-3 rounded-xl shadow-sm flex flex-col border dark:border-gray-700 transition-colors duration-300">
-                      {p.image_url ? <img src={p.image_url} alt={p.name} className="w-full h-36 object-cover rounded-lg mb-2" /> : <div className="w-full h-36 bg-gray-100 dark:bg-gray-700 rounded-lg mb-2 flex items-center justify-center text-gray-400">No Image</div>}
+                      {p.image_url ? <img src={p.thumb_url || p.image_url} alt={p.name} loading="lazy" className="w-full h-36 object-cover rounded-lg mb-2" /> : <div className="w-full h-36 bg-gray-100 dark:bg-gray-700 rounded-lg mb-2 flex items-center justify-center text-gray-400">No Image</div>}
                       <p className="text-xs text-gray-400">{p.code}</p>
                       <h4 className="font-semibold text-sm">{p.name}</h4>
                       <p className="text-xs text-gray-500 dark:text-gray-300">{p.brands?.name || '—'}</p>
                       <p className="text-sm font-bold mt-1">Rp{formatPrice(p.price)}</p>
-                      <div className="flex gap-2 mt-3">
-                        <button onClick={()=>handleEdit(p)} className="bg-blue-600 text-white px-3 py-1 rounded-md text-xs hover:bg-blue-700">Edit</button>
-                        <button onClick={()=>
+                      {canPrice && <div className="flex gap-2 mt-3">
+                        <button onClick={()=>handleEdit(p)} className="bg-blue-600 text-white px-3 py-1 rounded-md text-xs hover:bg-blue-700">{canManage ? 'Edit' : 'Ubah harga'}</button>
+                        {canManage && <button onClick={()=>
                           handleConfirmDelete(p.id)
-                        } className="bg-red-100 text-red-600 px-3 py-1 rounded-md text-xs">Hapus</button></div>
+                        } className="bg-red-100 text-red-600 px-3 py-1 rounded-md text-xs">Hapus</button>}</div>}
                     </div>
                   ))}
                 </div>
+                <LoadMore section={sec} onLoadMore={()=>loadMore(cat)} auto={order.length===1} />
               </section>
             );
           })}
@@ -261,55 +851,823 @@ function Dashboard() {
   );
 }
 
-// ------------------ Catalog (reads brands relation) ------------------
-function Catalog(){
-  const [products, setProducts] = useState([]);
+// ------------------ Product timeline (Dashboard, shown while editing) ------------------
+function ProductHistory({ productId, brands, onReverted }){
+  const [entries, setEntries] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [reverting, setReverting] = useState(null);
+
+  useEffect(() => { if (!open) return; let cancelled = false;
+    db.supabase.from('audit_log').select('*, profiles(email)').eq('table_name', 'products').eq('row_id', productId).order('changed_at', { ascending: false }).limit(100)
+      .then(({ data, error }) => { if (error) console.error(error); if (!cancelled) setEntries(data || []); });
+    return () => { cancelled = true; };
+  }, [open, productId]);
+
+  function showValue(k, v){ if (v === null || v === undefined || v === '') return '—'; if (k === 'brand_id') return brands.find(b => b.id === v)?.name || `#${v}`; if (k === 'price') return `Rp${formatPrice(v)}`; if (k === 'available') return v ? 'ya' : 'tidak'; return String(v); }
+
+  // puts the row back to how it looked right after this entry; the revert itself shows up as a new entry.
+  // image_url / thumb_url are left alone: they mirror the current gallery, and removed images' files are already deleted
+  async function handleRevert(entry){ setReverting(entry.id);
+    const values = Object.fromEntries(Object.keys(HISTORY_FIELDS).filter(k => k !== 'image_url' && k !== 'thumb_url').map(k => [k, entry.new_data[k] ?? null]));
+    const { error } = await db.supabase.from('products').update(values).eq('id', productId);
+    setReverting(null);
+    if (error) { console.error(error); toast.error(db.isDuplicateCodeError(error) ? `Kode ${values.code} sekarang dipakai produk lain` : 'Gagal mengembalikan versi'); return; }
+    toast.success('Produk dikembalikan ke versi tersebut'); onReverted();
+  }
+
+  return (
+    <div className="mt-4 bg-white dark:bg-gray-800 dark:border-gray-700 border rounded-xl p-4 shadow transition-colors duration-300">
+      <button type="button" onClick={()=>setOpen(!open)} className="text-sm font-semibold">{open ? '▾' : '▸'} Riwayat perubahan</button>
+      {open && (!entries ? <div className="text-center p-4 text-sm text-gray-400">Memuat riwayat...</div> : entries.length === 0 ? <p className="text-sm text-gray-400 mt-2">Belum ada riwayat.</p> : (
+        <ol className="mt-3 max-h-96 overflow-auto text-sm divide-y dark:divide-gray-700">
+          {entries.map((e, i) => { const fields = changedFields(e); return (
+            <li key={e.id} className="py-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-medium">{HISTORY_ACTIONS[e.action] || e.action}</span>
+                <span className="text-xs text-gray-500 dark:text-gray-300">{new Date(e.changed_at).toLocaleString('id-ID')} · {e.profiles?.email || 'sistem'}</span>
+                {i > 0 && e.new_data && (e.action === 'insert' || e.action === 'update') && <button type="button" onClick={()=>handleRevert(e)} disabled={reverting !== null} className="ml-auto text-xs bg-gray-100 dark:bg-gray-700 disabled:opacity-50 px-2 py-1 rounded-md">{reverting === e.id ? 'Mengembalikan...' : 'Kembalikan ke versi ini'}</button>}
+              </div>
+              {fields.length > 0 && <ul className="mt-1 text-xs text-gray-600 dark:text-gray-300">{fields.map(k => <li key={k}>{HISTORY_FIELDS[k]}: <span className="line-through text-gray-400">{showValue(k, e.old_data[k])}</span> → {showValue(k, e.new_data[k])}</li>)}</ul>}
+            </li>
+          ); })}
+        </ol>
+      ))}
+    </div>
+  );
+}
+
+// ------------------ Price history chart (Dashboard, shown while editing) ------------------
+// step lines from price_history: normal price, and the promo price while a recorded sale window was running
+function PriceHistoryChart({ productId }){
+  const [rows, setRows] = useState(null);
+
+  useEffect(() => { let cancelled = false;
+    db.supabase.from('price_history').select('*').eq('product_id', productId).order('changed_at', { ascending: true }).limit(500)
+      .then(({ data, error }) => { if (error) console.error(error); if (!cancelled) setRows(data || []); });
+    return () => { cancelled = true; };
+  }, [productId]);
+
+  if (!rows) return null;
+  if (rows.length === 0) return <p className="mt-4 text-xs text-gray-400">Belum ada riwayat harga.</p>;
+
+  const now = Date.now(); const t = iso => new Date(iso).getTime();
+  const spans = rows.map((r, i) => ({ r, from: t(r.changed_at), to: i + 1 < rows.length ? t(rows[i + 1].changed_at) : now }));
+  const saleSpans = spans.filter(sp => sp.r.sale_starts_at).map(sp => ({ from: Math.max(sp.from, t(sp.r.sale_starts_at)), to: Math.min(sp.to, sp.r.sale_ends_at ? t(sp.r.sale_ends_at) : sp.to), price: sp.r.sale_percent != null ? Math.round(Number(sp.r.price) * (100 - Number(sp.r.sale_percent)) / 100) : Number(sp.r.sale_price) })).filter(sp => sp.from < sp.to);
+  const prices = [...spans.map(sp => Number(sp.r.price)), ...saleSpans.map(sp => sp.price)];
+  const [W, H, pad] = [600, 160, 8]; const start = spans[0].from; const minP = Math.min(...prices) * 0.95; const maxP = Math.max(...prices) * 1.05 || 1;
+  const x = ms => pad + (now === start ? 0 : (ms - start) / (now - start)) * (W - 2 * pad); const y = v => H - pad - (maxP === minP ? 0.5 : (v - minP) / (maxP - minP)) * (H - 2 * pad);
+  const normalPath = spans.map((sp, i) => `${i ? 'L' : 'M'}${x(sp.from)},${y(Number(sp.r.price))} H${x(sp.to)}`).join(' ');
+
+  return (
+    <div className="mt-4 bg-white dark:bg-gray-800 dark:border-gray-700 border rounded-xl p-4 shadow transition-colors duration-300">
+      <div className="flex flex-wrap items-center gap-3 text-xs mb-2">
+        <h3 className="text-sm font-semibold mr-auto">Riwayat harga</h3>
+        <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-blue-600 inline-block" /> Normal</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-red-500 inline-block" /> Promo</span>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-40">
+        <path d={normalPath} fill="none" stroke="#2563eb" strokeWidth="2" />
+        {saleSpans.map((sp, i) => <line key={i} x1={x(sp.from)} x2={x(sp.to)} y1={y(sp.price)} y2={y(sp.price)} stroke="#ef4444" strokeWidth="3"><title>Promo Rp{formatPrice(sp.price)}</title></line>)}
+        {spans.map(sp => <circle key={sp.r.id} cx={x(sp.from)} cy={y(Number(sp.r.price))} r="3" fill="#2563eb"><title>{new Date(sp.from).toLocaleString('id-ID')}: Rp{formatPrice(sp.r.price)}</title></circle>)}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-400"><span>{new Date(start).toLocaleDateString('id-ID')}</span><span>Rp{formatPrice(Math.round(minP / 0.95))} – Rp{formatPrice(Math.round(maxP / 1.05))}</span><span>sekarang</span></div>
+    </div>
+  );
+}
+
+// ------------------ Trash (/dashboard/trash, soft-deleted products) ------------------
+function TrashAdmin(){
+  const [items, setItems] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(()=>{ fetchTrash(); }, []);
+  async function fetchTrash(){ const { data, error } = await db.supabase.from('products').select('*, brands(name)').not('deleted_at', 'is', null).order('deleted_at', { ascending: false }); if (error) console.error(error); setItems(data || []); }
+
+  async function handleRestore(p){ setBusy(p.id); if (await restoreProduct(p.id)) await fetchTrash(); setBusy(null); }
+
+  // permanent delete: the row, its gallery rows (cascade) and the storage files; audit_log keeps the last values
+  async function handlePurge(p){ setBusy(p.id);
+    const { data: prod } = await db.supabase.from('products').select('image_url, thumb_url, product_images(*)').eq('id', p.id).maybeSingle(); // files to clean up afterwards
+    const { error } = await db.supabase.from('products').delete().eq('id', p.id);
+    if (error) toast.error('Gagal menghapus'); else { toast.success('Produk dihapus permanen');
+      if (prod) db.removeProductImageFiles([...(prod.product_images || []), { url: prod.image_url, thumb_url: prod.thumb_url }]);
+      await fetchTrash(); }
+    setBusy(null);
+  }
+  function handleConfirmPurge(p){ toast(`Hapus permanen ${p.name}?`, { description: 'Produk dan gambarnya tidak bisa dipulihkan lagi.', action: { label: 'Hapus', onClick: () => handlePurge(p) }, cancel: { label: 'Batal' } }); }
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300 p-4 md:p-8">
+      <div className="max-w-3xl mx-auto">
+        <Link to="/dashboard" className="text-sm text-gray-500 dark:text-gray-300 hover:underline">← Dashboard</Link>
+        <h1 className="text-2xl font-bold mt-2 mb-4">Sampah</h1>
+        {!items ? <div className="text-center p-8 text-sm text-gray-400">Memuat...</div> : items.length === 0 ? <p className="text-sm text-gray-400">Sampah kosong.</p> : (
+          <ul className="border rounded-xl dark:border-gray-700 divide-y dark:divide-gray-700 text-sm">
+            {items.map(p => (
+              <li key={p.id} className="p-3 flex items-center gap-3">
+                {p.image_url ? <img src={p.thumb_url || p.image_url} alt={p.name} className="w-12 h-12 object-cover rounded-md" /> : <div className="w-12 h-12 bg-gray-100 dark:bg-gray-700 rounded-md" />}
+                <div className="mr-auto min-w-0">
+                  <p className="truncate"><span className="text-xs text-gray-400 mr-2">{p.code}</span>{p.name}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-300">{p.brands?.name || '—'} · dihapus {new Date(p.deleted_at).toLocaleString('id-ID')}</p>
+                </div>
+                <button type="button" onClick={()=>handleRestore(p)} disabled={busy !== null} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-3 py-1 rounded-md text-xs">Pulihkan</button>
+                <button type="button" onClick={()=>handleConfirmPurge(p)} disabled={busy !== null} className="bg-red-100 text-red-600 disabled:opacity-50 px-3 py-1 rounded-md text-xs">Hapus permanen</button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ------------------ Cart drawer (storefront pages) ------------------
+function Cart(){
+  const { lines, count, subtotal, setQuantity, reprice, clear } = React.useContext(CartContext);
+  const [open, setOpen] = useState(false);
+  const [buyer, setBuyer] = useState({ name: '', note: '' });
+  const [sending, setSending] = useState(false);
+
+  // seller number lives in settings (Dashboard -> Pengaturan toko), read at checkout so changes apply immediately;
+  // line prices are re-read too: if a sale ended or a price / stock changed, the cart is updated and the buyer checks again.
+  // Mobile Safari only allows a new tab opened in the click itself, so the tab opens first and gets the wa.me URL after the checks
+  async function handleCheckout(){ setSending(true);
+    const win = window.open('', '_blank'); if (win) win.opener = null;
+    const [{ value, error }, { products, error: productsError }] = await Promise.all([db.fetchSetting('whatsapp_number'), db.fetchProductsForCart(lines.map(l => l.code))]); setSending(false);
+    const number = normalizeWhatsApp(value);
+    if (error || !number) { if (error) console.error(error); win?.close(); toast.error('Nomor WhatsApp penjual belum diatur'); return; }
+    if (productsError) { console.error(productsError); win?.close(); toast.error('Gagal memeriksa harga terbaru, coba lagi'); return; }
+    const current = Object.fromEntries(lines.map(l => [l.key, currentLinePrice(l, products)]));
+    const changed = lines.filter(l => current[l.key] !== l.price);
+    if (changed.length) { win?.close(); reprice(current); toast.warning('Harga atau stok berubah, keranjang sudah diperbarui', { description: changed.map(l => `${l.name}: ${current[l.key] == null ? 'tidak tersedia lagi' : `Rp${formatPrice(current[l.key])}`}`).join(', ') }); return; }
+    const url = `https://wa.me/${number}?text=${encodeURIComponent(buildOrderMessage(lines, subtotal, buyer))}`;
+    if (win) win.location.href = url; else window.location.href = url; // no tab (popups blocked): leave from this one
+  }
+
+  if (!count && !open) return null;
+  return (
+    <>
+      <button type="button" onClick={()=>setOpen(true)} className="fixed bottom-6 left-6 z-40 bg-blue-600 text-white text-sm px-4 py-2 rounded-full shadow-lg hover:bg-blue-700 transition">🛒 Keranjang ({count})</button>
+      {open && (
+        <div className="fixed inset-0 z-50 flex justify-end bg-black/40" onClick={()=>setOpen(false)}>
+          <div className="w-full max-w-sm h-full overflow-auto bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 p-4 shadow-xl" onClick={(e)=>e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-4"><h2 className="text-lg font-semibold">Keranjang</h2><button type="button" onClick={()=>setOpen(false)} className="text-gray-500 hover:underline text-sm">Tutup</button></div>
+            {lines.length === 0 ? <p className="text-sm text-gray-400">Keranjang masih kosong.</p> : (
+              <>
+                <ul className="divide-y dark:divide-gray-700 text-sm">
+                  {lines.map(l => (
+                    <li key={l.key} className="py-2">
+                      <p className="text-xs text-gray-400">{l.code}</p>
+                      <p className="font-medium">{l.name}{l.variant && <span className="text-gray-500 dark:text-gray-300 font-normal"> · {l.variant}</span>}</p>
+                      <div className="flex items-center gap-2 mt-1">
+                        <button type="button" onClick={()=>setQuantity(l.key, l.quantity - 1)} className="w-7 h-7 border rounded-md dark:border-gray-700">−</button>
+                        <span className="w-6 text-center">{l.quantity}</span>
+                        <button type="button" onClick={()=>setQuantity(l.key, l.quantity + 1)} className="w-7 h-7 border rounded-md dark:border-gray-700">+</button>
+                        <span className="ml-auto font-semibold">Rp{formatPrice(l.price * l.quantity)}</span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+                <p className="flex justify-between font-semibold border-t dark:border-gray-700 pt-3 mt-2"><span>Subtotal</span><span>Rp{formatPrice(subtotal)}</span></p>
+                <div className="space-y-2 mt-4">
+                  <input placeholder="Nama (opsional)" value={buyer.name} onChange={(e)=>setBuyer({ ...buyer, name: e.target.value })} className="w-full border p-2 rounded-lg text-sm bg-white dark:bg-gray-800 dark:border-gray-700" />
+                  <textarea placeholder="Catatan / alamat (opsional)" rows={2} value={buyer.note} onChange={(e)=>setBuyer({ ...buyer, note: e.target.value })} className="w-full border p-2 rounded-lg text-sm bg-white dark:bg-gray-800 dark:border-gray-700" />
+                </div>
+                <button type="button" onClick={handleCheckout} disabled={sending} className="w-full mt-3 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white text-sm py-2.5 rounded-full">Pesan lewat WhatsApp</button>
+                <button type="button" onClick={clear} className="w-full mt-2 text-xs text-gray-500 hover:underline">Kosongkan keranjang</button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+// ------------------ Store settings (Dashboard, owners) ------------------
+function StoreSettings(){
+  const [whatsapp, setWhatsapp] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(()=>{ db.supabase.from('settings').select('value').eq('key', 'whatsapp_number').maybeSingle().then(({ data }) => setWhatsapp(data?.value || '')); }, []);
+
+  async function handleSave(e){ e.preventDefault(); const number = normalizeWhatsApp(whatsapp);
+    if (whatsapp.trim() && !/^\d{8,15}$/.test(number)) { toast.error('Nomor WhatsApp tidak valid'); return; }
+    setSaving(true); const { error } = await db.supabase.from('settings').upsert([{ key: 'whatsapp_number', value: number || null }], { onConflict: 'key' }); setSaving(false);
+    if (error) { console.error(error); toast.error('Gagal menyimpan pengaturan'); } else { setWhatsapp(number); toast.success('Pengaturan disimpan'); } }
+
+  return (
+    <form onSubmit={handleSave} className="mt-6 bg-white dark:bg-gray-800 dark:border-gray-700 border rounded-xl p-4 shadow transition-colors duration-300">
+      <h2 className="text-md font-semibold mb-2">Pengaturan toko</h2>
+      <div className="flex flex-wrap gap-2">
+        <input placeholder="Nomor WhatsApp penjual, mis. 0812xxxx" value={whatsapp} onChange={(e)=>setWhatsapp(e.target.value)} className="flex-1 min-w-48 border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600" />
+        <button type="submit" disabled={saving} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm">{saving ? 'Menyimpan...' : 'Simpan'}</button>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">Pesanan dari keranjang (produk tanpa link affiliate) dikirim ke nomor ini lewat WhatsApp.</p>
+    </form>
+  );
+}
+
+// ------------------ Click analytics (Dashboard section, reads click_stats) ------------------
+function isoDate(d) { return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 10); }
+// sums per-product stats into brand / category rows
+function groupClicks(rows, keyOf) { const map = new Map(); rows.forEach(r => { const k = keyOf(r) || '—'; map.set(k, (map.get(k) || 0) + Number(r.clicks)); }); return Array.from(map, ([name, clicks]) => ({ name, clicks })).sort((a, b) => b.clicks - a.clicks); }
+
+function ClickAnalytics(){
+  const [range, setRange] = useState(() => ({ from: isoDate(new Date(Date.now() - 29 * 86400000)), to: isoDate(new Date()) }));
+  const [stats, setStats] = useState(null);
+  const [view, setView] = useState('product');
+
+  useEffect(() => {
+    let cancelled = false; setStats(null);
+    // "to" is inclusive: the RPC gets the start of the following day
+    const to = new Date(`${range.to}T00:00:00`); to.setDate(to.getDate() + 1);
+    db.supabase.rpc('click_stats', { p_from: new Date(`${range.from}T00:00:00`).toISOString(), p_to: to.toISOString() }).then(({ data, error }) => {
+      if (error) { console.error(error); toast.error('Gagal memuat statistik klik'); }
+      if (!cancelled) setStats(data || []);
+    });
+    return () => { cancelled = true; };
+  }, [range]);
+
+  const rows = useMemo(() => {
+    if (!stats) return [];
+    if (view === 'brand') return groupClicks(stats, r => r.brand);
+    if (view === 'category') return groupClicks(stats, r => r.category);
+    return stats.map(r => ({ ...r, clicks: Number(r.clicks) }));
+  }, [stats, view]);
+  const total = rows.reduce((n, r) => n + r.clicks, 0);
+  const max = rows[0]?.clicks || 1;
+
+  function handleExport(){
+    const columns = view === 'product' ? ['code', 'name', 'brand', 'category', 'clicks', 'last_click'] : ['name', 'clicks'];
+    downloadFile(`clicks-${view}-${range.from}_${range.to}.csv`, toCSV(rows, columns));
+  }
+
+  const inputCls = 'border p-1.5 rounded-lg text-sm bg-white dark:bg-gray-700 dark:border-gray-600';
+
+  return (
+    <div className="mt-6 bg-white dark:bg-gray-800 dark:border-gray-700 border rounded-xl p-4 shadow transition-colors duration-300">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="text-md font-semibold mr-auto">Analitik klik {stats && <span className="text-sm font-normal text-gray-500 dark:text-gray-300">({total} klik)</span>}</h2>
+        <input type="date" value={range.from} max={range.to} onChange={(e)=>e.target.value && setRange({ ...range, from: e.target.value })} className={inputCls} />
+        <span className="text-sm text-gray-400">s/d</span>
+        <input type="date" value={range.to} min={range.from} onChange={(e)=>e.target.value && setRange({ ...range, to: e.target.value })} className={inputCls} />
+        <select value={view} onChange={(e)=>setView(e.target.value)} className={inputCls}><option value="product">Per produk</option><option value="brand">Per brand</option><option value="category">Per kategori</option></select>
+        <button type="button" onClick={handleExport} disabled={!rows.length} className="bg-gray-100 dark:bg-gray-700 disabled:opacity-50 px-3 py-1.5 rounded-lg text-sm">Export CSV</button>
+      </div>
+
+      {!stats ? <div className="text-center p-6 text-sm text-gray-400">Memuat statistik...</div> : rows.length === 0 ? <p className="text-sm text-gray-400 mt-3">Belum ada klik pada rentang ini.</p> : (
+        <ul className="mt-3 max-h-80 overflow-auto text-sm divide-y dark:divide-gray-700">
+          {rows.map((r, i) => (
+            <li key={r.product_id || r.name} className="py-2 flex items-center gap-3">
+              <span className="text-xs text-gray-400 w-6 text-right">{i + 1}</span>
+              <div className="flex-1 min-w-0">
+                <p className="truncate">{view === 'product' ? <><span className="text-xs text-gray-400 mr-2">{r.code}</span>{r.name}<span className="text-xs text-gray-500 dark:text-gray-300 ml-2">{r.brand || ''}</span></> : r.name}</p>
+                <div className="h-1.5 mt-1 rounded-full bg-blue-500" style={{ width: `${Math.max(2, Math.round(r.clicks / max * 100))}%` }} />
+              </div>
+              <span className="font-semibold w-12 text-right">{r.clicks}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ------------------ Category management (/dashboard/categories) ------------------
+function CategoryAdmin(){
+  const { categories, reloadCategories } = useCategories({ includeHidden: true });
+  const [counts, setCounts] = useState({}); // products per category id
+  const [draft, setDraft] = useState({ name:'', icon:'', code_prefix:'' });
+  const [editing, setEditing] = useState(null); // copy of the row being edited
+  const [saving, setSaving] = useState(false);
+
+  useEffect(()=>{ if (!categories) return; let cancelled = false;
+    (async ()=>{ const entries = await Promise.all(categories.map(async c => { const { count } = await db.supabase.from('products').select('id', { count: 'exact', head: true }).eq('category', c.name).is('deleted_at', null); return [c.id, count || 0]; }));
+      if (!cancelled) setCounts(Object.fromEntries(entries)); })();
+    return ()=>{ cancelled = true; };
+  }, [categories]);
+
+  // normalise + validate a category form; returns [row, errorMessage]
+  function prepareCategory(c, id = null){ const name = (c.name||'').trim(); const slug = slugify(c.slug || name); const code_prefix = (c.code_prefix || name.substring(0,3)).trim().toUpperCase();
+    if (!name) return [null, 'Nama kategori wajib diisi'];
+    if (!slug || slug === NO_CATEGORY.slug) return [null, `Slug "${slug}" tidak bisa dipakai`];
+    if (!/^[A-Z]{2,5}$/.test(code_prefix)) return [null, 'Prefix kode harus 2-5 huruf'];
+    if ((categories||[]).some(o => o.id !== id && (o.name.toLowerCase() === name.toLowerCase() || o.slug === slug))) return [null, 'Nama atau slug kategori sudah ada'];
+    return [{ name, slug, icon: (c.icon||'').trim() || '📦', code_prefix }, null];
+  }
+
+  async function handleAdd(e){ e.preventDefault(); const [row, err] = prepareCategory(draft); if (err) { toast.error(err); return; } setSaving(true);
+    const sort_order = Math.max(0, ...(categories||[]).map(c => c.sort_order || 0)) + 10;
+    const { error } = await db.supabase.from('categories').insert([{ ...row, sort_order, visible: true }]);
+    if (error) { console.error(error); toast.error('Gagal menambah kategori'); } else { toast.success('Kategori ditambahkan'); setDraft({ name:'', icon:'', code_prefix:'' }); reloadCategories(); }
+    setSaving(false);
+  }
+
+  // renaming cascades to products.category through the FK (on update cascade)
+  async function handleUpdate(){ const [row, err] = prepareCategory(editing, editing.id); if (err) { toast.error(err); return; } setSaving(true);
+    const { error } = await db.supabase.from('categories').update(row).eq('id', editing.id);
+    if (error) { console.error(error); toast.error('Gagal update kategori'); } else { toast.success('Kategori diupdate'); setEditing(null); reloadCategories(); }
+    setSaving(false);
+  }
+
+  async function handleToggleVisible(c){ const { error } = await db.supabase.from('categories').update({ visible: !c.visible }).eq('id', c.id); if (error) toast.error('Gagal mengubah visibilitas'); else reloadCategories(); }
+
+  // swap with neighbour, then renumber sort_order in steps of 10 so ties never come back
+  async function handleMove(index, dir){ const list = [...categories]; const j = index + dir; if (j < 0 || j >= list.length) return; [list[index], list[j]] = [list[j], list[index]]; setSaving(true);
+    const changed = list.map((c, i) => ({ c, sort_order: (i + 1) * 10 })).filter(({ c, sort_order }) => c.sort_order !== sort_order);
+    const results = await Promise.all(changed.map(({ c, sort_order }) => db.supabase.from('categories').update({ sort_order }).eq('id', c.id)));
+    if (results.some(r => r.error)) toast.error('Gagal mengubah urutan'); reloadCategories(); setSaving(false);
+  }
+
+  function handleConfirmDelete(c){ const n = counts[c.id] || 0;
+    toast(`Hapus kategori ${c.name}?`, { description: n ? `${n} produk akan menjadi "${NO_CATEGORY.name}"` : undefined, action: { label: 'Hapus', onClick: () => handleDelete(c) }, cancel: { label: 'Batal' } });
+  }
+  async function handleDelete(c){ const { error } = await db.supabase.from('categories').delete().eq('id', c.id); if (error) toast.error('Gagal menghapus kategori'); else { toast.success('Kategori dihapus'); reloadCategories(); } }
+
+  const inputCls = 'border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600';
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300 p-4 md:p-8">
+      <div className="max-w-4xl mx-auto">
+        <Link to="/dashboard" className="text-sm text-gray-500 dark:text-gray-300 hover:underline">← Dashboard</Link>
+        <h1 className="text-2xl font-bold mt-2 mb-4">Kategori</h1>
+
+        <form onSubmit={handleAdd} className="grid grid-cols-2 md:grid-cols-4 gap-2 bg-white dark:bg-gray-800 dark:border-gray-700 border rounded-xl p-4 shadow transition-colors duration-300">
+          <input placeholder="Nama kategori" value={draft.name} onChange={(e)=>setDraft({...draft, name:e.target.value})} className={`col-span-2 md:col-span-1 ${inputCls}`} />
+          <input placeholder="Ikon (emoji)" value={draft.icon} onChange={(e)=>setDraft({...draft, icon:e.target.value})} className={inputCls} />
+          <input placeholder={`Prefix kode (${(draft.name||'OTH').substring(0,3).toUpperCase()})`} value={draft.code_prefix} onChange={(e)=>setDraft({...draft, code_prefix:e.target.value})} className={inputCls} />
+          <button type="submit" disabled={saving} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg">Tambah</button>
+        </form>
+
+        {!categories ? <div className="text-center p-8 text-sm text-gray-400">Memuat kategori...</div> : (
+          <ul className="mt-6 border rounded-xl dark:border-gray-700 divide-y dark:divide-gray-700">
+            {categories.map((c, i) => editing?.id === c.id ? (
+              <li key={c.id} className="p-3 grid grid-cols-2 md:grid-cols-5 gap-2 items-center">
+                <input value={editing.icon||''} onChange={(e)=>setEditing({...editing, icon:e.target.value})} placeholder="Ikon" className={inputCls} />
+                <input value={editing.name} onChange={(e)=>setEditing({...editing, name:e.target.value})} placeholder="Nama" className={inputCls} />
+                <input value={editing.slug} onChange={(e)=>setEditing({...editing, slug:e.target.value})} placeholder="Slug" className={inputCls} />
+                <input value={editing.code_prefix||''} onChange={(e)=>setEditing({...editing, code_prefix:e.target.value})} placeholder="Prefix" className={inputCls} />
+                <div className="flex gap-2">
+                  <button type="button" onClick={handleUpdate} disabled={saving} className="bg-blue-600 text-white px-3 py-1 rounded-md text-xs hover:bg-blue-700">Simpan</button>
+                  <button type="button" onClick={()=>setEditing(null)} className="bg-gray-100 dark:bg-gray-700 px-3 py-1 rounded-md text-xs">Batal</button>
+                </div>
+              </li>
+            ) : (
+              <li key={c.id} className={`p-3 flex flex-wrap items-center gap-3 ${c.visible ? '' : 'opacity-60'}`}>
+                <span className="text-xl w-8 text-center">{c.icon || '📦'}</span>
+                <div className="mr-auto text-left">
+                  <p className="font-semibold text-sm">{c.name} <span className="text-xs font-normal text-gray-400">/{c.slug} · {c.code_prefix || '—'}</span></p>
+                  <p className="text-xs text-gray-500 dark:text-gray-300">{counts[c.id] ?? '…'} produk{c.visible ? '' : ' · tersembunyi di katalog'}</p>
+                </div>
+                <div className="flex gap-1">
+                  <button type="button" aria-label="Naik" onClick={()=>handleMove(i, -1)} disabled={saving || i===0} className="px-2 py-1 rounded-md text-xs border dark:border-gray-700 disabled:opacity-30">↑</button>
+                  <button type="button" aria-label="Turun" onClick={()=>handleMove(i, 1)} disabled={saving || i===categories.length-1} className="px-2 py-1 rounded-md text-xs border dark:border-gray-700 disabled:opacity-30">↓</button>
+                </div>
+                <label className="flex items-center gap-1 text-xs"><input type="checkbox" checked={!!c.visible} onChange={()=>handleToggleVisible(c)} /> Tampil</label>
+                <button type="button" onClick={()=>setEditing({ ...c })} className="bg-blue-600 text-white px-3 py-1 rounded-md text-xs hover:bg-blue-700">Edit</button>
+                <button type="button" onClick={()=>handleConfirmDelete(c)} className="bg-red-100 text-red-600 px-3 py-1 rounded-md text-xs">Hapus</button>
+              </li>
+            ))}
+            {categories.length === 0 && <li className="p-4 text-sm text-gray-400 text-center">Belum ada kategori.</li>}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ------------------ Brand management (/dashboard/brands) ------------------
+function BrandAdmin(){
+  const [brands, setBrands] = useState(null);
   const [search, setSearch] = useState('');
-  const categoriesOrder = ['Shirts','TShirts','Jackets','Pants','Accessories','Shoes','Bags'];
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [merging, setMerging] = useState(null); // { from: brand, into: brandId }
+  const [busyId, setBusyId] = useState(null);
+  const [logoTarget, setLogoTarget] = useState(null); // brand whose logo is being uploaded
+  const logoRef = useRef(null);
+
+  useEffect(()=>{ fetchBrands(); }, []);
+
+  // products(count) embeds the number of products per brand in one request
+  async function fetchBrands(){ const { data, error } = await db.supabase.from('brands').select('*, products(count)').order('name', { ascending: true }); if (error) console.error(error);
+    setBrands((data || []).map(b => ({ ...b, product_count: b.products?.[0]?.count ?? 0 }))); }
+
+  // near-duplicates: one normalised name is a prefix of the other ("uniqlo" / "uniqlo-indonesia")
+  function similarTo(b){ const key = slugify(b.name).replace(/-/g, ''); if (key.length < 3) return [];
+    return brands.filter(o => { if (o.id === b.id) return false; const k = slugify(o.name).replace(/-/g, ''); return k.length >= 3 && (k.startsWith(key) || key.startsWith(k)); }); }
+
+  async function handleRename(){ const name = editing.name.trim().replace(/\s+/g, ' '); const slug = slugify(name); if (!name || !slug) { toast.error('Nama brand wajib diisi'); return; }
+    const clash = brands.find(b => b.id !== editing.id && (b.slug === slug || b.name.toLowerCase() === name.toLowerCase())); if (clash) { toast.error(`Brand "${clash.name}" sudah ada, gunakan Gabungkan`); return; }
+    setBusyId(editing.id); const { error } = await db.supabase.from('brands').update({ name, slug }).eq('id', editing.id);
+    if (error) { console.error(error); toast.error('Gagal mengganti nama brand'); } else { toast.success('Nama brand diupdate'); setEditing(null); fetchBrands(); }
+    setBusyId(null);
+  }
+
+  // moves every product of merging.from to the target brand and deletes the old one (merge_brands in the SQL below)
+  async function handleMerge(){ const into = brands.find(b => String(b.id) === String(merging.into)); if (!into) { toast.error('Pilih brand tujuan'); return; } const from = merging.from; setBusyId(from.id);
+    const { data, error } = await db.supabase.rpc('merge_brands', { p_from: from.id, p_into: into.id });
+    if (error) { console.error(error); toast.error('Gagal menggabungkan brand'); }
+    else { toast.success(`${from.name} digabung ke ${into.name} (${data ?? 0} produk dipindah)`); if (from.logo_url) removeStorageFile('brand-logos', from.logo_url); setMerging(null); fetchBrands(); }
+    setBusyId(null);
+  }
+
+  function handleConfirmDelete(b){ toast(`Hapus brand ${b.name}?`, { action: { label: 'Hapus', onClick: () => handleDelete(b) }, cancel: { label: 'Batal' } }); }
+  async function handleDelete(b){ const { error } = await db.supabase.from('brands').delete().eq('id', b.id);
+    if (error) toast.error('Gagal menghapus brand'); else { toast.success('Brand dihapus'); if (b.logo_url) removeStorageFile('brand-logos', b.logo_url); fetchBrands(); } }
+
+  function pickLogo(b){ setLogoTarget(b); if (logoRef.current) { logoRef.current.value = null; logoRef.current.click(); } }
+  async function handleLogoFile(e){ const f = e.target.files?.[0]; const b = logoTarget; if (!f || !b) return; setBusyId(b.id);
+    const fileName = `${b.id}/${Date.now()}_${f.name.replace(/\s+/g,'_')}`;
+    const { error } = await db.supabase.storage.from('brand-logos').upload(fileName, f);
+    if (error) { console.error(error); toast.error('Gagal upload logo'); setBusyId(null); return; }
+    const { data: publicUrl } = db.supabase.storage.from('brand-logos').getPublicUrl(fileName);
+    const { error: updErr } = await db.supabase.from('brands').update({ logo_url: publicUrl.publicUrl }).eq('id', b.id);
+    if (updErr) { toast.error('Gagal menyimpan logo'); removeStorageFile('brand-logos', publicUrl.publicUrl); } else { toast.success('Logo diupdate'); if (b.logo_url) removeStorageFile('brand-logos', b.logo_url); fetchBrands(); }
+    setBusyId(null); setLogoTarget(null);
+  }
+
+  const q = search.trim().toLowerCase();
+  const visible = (brands || []).filter(b => !q || b.name.toLowerCase().includes(q));
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300 p-4 md:p-8">
+      <div className="max-w-4xl mx-auto">
+        <Link to="/dashboard" className="text-sm text-gray-500 dark:text-gray-300 hover:underline">← Dashboard</Link>
+        <div className="flex items-center justify-between mt-2 mb-4 gap-4">
+          <h1 className="text-2xl font-bold">Brand</h1>
+          <input placeholder="Cari brand..." value={search} onChange={(e)=>setSearch(e.target.value)} className="border p-2 rounded-lg w-1/2 bg-white dark:bg-gray-800 dark:border-gray-700" />
+        </div>
+        <input ref={logoRef} type="file" accept="image/*" onChange={handleLogoFile} className="hidden" />
+
+        {!brands ? <div className="text-center p-8 text-sm text-gray-400">Memuat brand...</div> : (
+          <ul className="border rounded-xl dark:border-gray-700 divide-y dark:divide-gray-700">
+            {visible.map(b => { const similar = similarTo(b); const busy = busyId === b.id; return (
+              <li key={b.id} className="p-3">
+                <div className="flex flex-wrap items-center gap-3">
+                  {b.logo_url ? <img src={b.logo_url} alt={b.name} className="w-10 h-10 object-contain rounded-lg border dark:border-gray-700 bg-white" /> : <div className="w-10 h-10 rounded-lg bg-gray-100 dark:bg-gray-700 flex items-center justify-center text-gray-400 font-bold">{b.name.charAt(0).toUpperCase()}</div>}
+                  {editing?.id === b.id ? (
+                    <div className="mr-auto flex gap-2">
+                      <input value={editing.name} onChange={(e)=>setEditing({...editing, name:e.target.value})} className="border p-1.5 rounded-lg text-sm bg-white dark:bg-gray-700 dark:border-gray-600" />
+                      <button type="button" onClick={handleRename} disabled={busy} className="bg-blue-600 text-white px-3 py-1 rounded-md text-xs hover:bg-blue-700">Simpan</button>
+                      <button type="button" onClick={()=>setEditing(null)} className="bg-gray-100 dark:bg-gray-700 px-3 py-1 rounded-md text-xs">Batal</button>
+                    </div>
+                  ) : (
+                    <div className="mr-auto text-left">
+                      <p className="font-semibold text-sm">{b.name} {b.slug && <Link to={`/brand/${b.slug}`} className="text-xs font-normal text-gray-400 hover:underline">/brand/{b.slug}</Link>}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-300">{b.product_count} produk{similar.length > 0 && <span className="ml-2 text-amber-600">mirip: {similar.map(o => o.name).join(', ')}</span>}</p>
+                    </div>
+                  )}
+                  <button type="button" onClick={()=>pickLogo(b)} disabled={busy} className="bg-gray-100 dark:bg-gray-700 px-3 py-1 rounded-md text-xs">{busy && logoTarget?.id === b.id ? 'Uploading...' : 'Logo'}</button>
+                  <button type="button" onClick={()=>setEditing({ id: b.id, name: b.name })} className="bg-blue-600 text-white px-3 py-1 rounded-md text-xs hover:bg-blue-700">Rename</button>
+                  <button type="button" onClick={()=>setMerging({ from: b, into: similar[0]?.id ?? '' })} className="bg-gray-100 dark:bg-gray-700 px-3 py-1 rounded-md text-xs">Gabungkan</button>
+                  <button type="button" onClick={()=>handleConfirmDelete(b)} disabled={b.product_count > 0} title={b.product_count > 0 ? 'Brand masih dipakai produk' : undefined} className="bg-red-100 text-red-600 px-3 py-1 rounded-md text-xs disabled:opacity-40">Hapus</button>
+                </div>
+                {merging?.from.id === b.id && (
+                  <div className="mt-3 flex flex-wrap items-center gap-2 text-sm bg-gray-50 dark:bg-gray-800 rounded-lg p-2">
+                    <span>Gabungkan <b>{b.name}</b> ({b.product_count} produk) ke</span>
+                    <select value={merging.into} onChange={(e)=>setMerging({...merging, into:e.target.value})} className="border p-1.5 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600">
+                      <option value="">— pilih brand —</option>
+                      {brands.filter(o => o.id !== b.id).map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                    </select>
+                    <button type="button" onClick={handleMerge} disabled={busy || !merging.into} className="bg-blue-600 text-white px-3 py-1 rounded-md text-xs hover:bg-blue-700 disabled:opacity-50">Gabungkan</button>
+                    <button type="button" onClick={()=>setMerging(null)} className="bg-gray-100 dark:bg-gray-700 px-3 py-1 rounded-md text-xs">Batal</button>
+                  </div>
+                )}
+              </li>
+            ); })}
+            {visible.length === 0 && <li className="p-4 text-sm text-gray-400 text-center">Tidak ada brand.</li>}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ------------------ User management (/dashboard/users, owners only) ------------------
+function UserAdmin(){
+  const { user } = React.useContext(AuthContext);
+  const [profiles, setProfiles] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [draft, setDraft] = useState({ email:'', role:'editor' });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(()=>{ fetchUsers(); }, []);
+  async function fetchUsers(){ const [{ data: ps, error }, { data: inv }] = await Promise.all([db.supabase.from('profiles').select('*').order('created_at', { ascending: true }), db.supabase.from('invitations').select('*').order('created_at', { ascending: false })]);
+    if (error) console.error(error); setProfiles(ps || []); setInvites(inv || []); }
+
+  // an invitation row decides the role handle_new_user gives the account; the magic link creates it on first sign-in
+  async function handleInvite(e){ e.preventDefault(); const email = draft.email.trim().toLowerCase(); if (!email) return;
+    if ((profiles||[]).some(p => (p.email||'').toLowerCase() === email)) { toast.error('Email sudah terdaftar, ubah role di daftar pengguna'); return; }
+    setBusy(true);
+    const { error } = await db.supabase.from('invitations').upsert([{ email, role: draft.role, invited_by: user.id }], { onConflict: 'email' });
+    if (error) { console.error(error); toast.error('Gagal membuat undangan'); setBusy(false); return; }
+    const { error: otpError } = await db.supabase.auth.signInWithOtp({ email, options: { shouldCreateUser: true, emailRedirectTo: `${window.location.origin}/dashboard` } });
+    if (otpError) { console.error(otpError); toast.error('Undangan tersimpan, tapi email gagal dikirim'); } else toast.success(`Undangan dikirim ke ${email}`);
+    setDraft({ email:'', role: draft.role }); fetchUsers(); setBusy(false);
+  }
+
+  async function handleRoleChange(p, role){ const { error } = await db.supabase.from('profiles').update({ role }).eq('id', p.id);
+    if (error) { console.error(error); toast.error('Gagal mengubah role'); } else { toast.success(`${p.email} sekarang ${ROLES[role]}`); fetchUsers(); } }
+
+  async function handleCancelInvite(inv){ const { error } = await db.supabase.from('invitations').delete().eq('email', inv.email); if (error) toast.error('Gagal membatalkan undangan'); else fetchUsers(); }
+
+  const inputCls = 'border p-2 rounded-lg bg-white dark:bg-gray-700 dark:border-gray-600';
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300 p-4 md:p-8">
+      <div className="max-w-3xl mx-auto">
+        <Link to="/dashboard" className="text-sm text-gray-500 dark:text-gray-300 hover:underline">← Dashboard</Link>
+        <h1 className="text-2xl font-bold mt-2 mb-4">Pengguna</h1>
+
+        <form onSubmit={handleInvite} className="flex flex-wrap gap-2 bg-white dark:bg-gray-800 dark:border-gray-700 border rounded-xl p-4 shadow transition-colors duration-300">
+          <input type="email" required placeholder="email@contoh.com" value={draft.email} onChange={(e)=>setDraft({...draft, email:e.target.value})} className={`flex-1 min-w-48 ${inputCls}`} />
+          <select value={draft.role} onChange={(e)=>setDraft({...draft, role:e.target.value})} className={inputCls}>{Object.entries(ROLES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}</select>
+          <button type="submit" disabled={busy} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg">{busy ? 'Mengirim...' : 'Undang'}</button>
+          <p className="w-full text-xs text-gray-400">Editor hanya bisa mengubah harga & ketersediaan, Viewer hanya bisa melihat.</p>
+        </form>
+
+        {invites.length > 0 && (
+          <section className="mt-6">
+            <h2 className="text-md font-semibold mb-2">Undangan tertunda</h2>
+            <ul className="border rounded-xl dark:border-gray-700 divide-y dark:divide-gray-700 text-sm">
+              {invites.map(inv => (<li key={inv.email} className="p-3 flex items-center gap-3"><span className="mr-auto">{inv.email}</span><span className="text-xs text-gray-500">{ROLES[inv.role] || inv.role}</span><button type="button" onClick={()=>handleCancelInvite(inv)} className="bg-red-100 text-red-600 px-3 py-1 rounded-md text-xs">Batalkan</button></li>))}
+            </ul>
+          </section>
+        )}
+
+        <section className="mt-6">
+          <h2 className="text-md font-semibold mb-2">Akun</h2>
+          {!profiles ? <div className="text-center p-8 text-sm text-gray-400">Memuat pengguna...</div> : (
+            <ul className="border rounded-xl dark:border-gray-700 divide-y dark:divide-gray-700 text-sm">
+              {profiles.map(p => (
+                <li key={p.id} className="p-3 flex items-center gap-3">
+                  <span className="mr-auto">{p.email || p.id}{p.id === user.id && <span className="ml-2 text-xs text-gray-400">(Anda)</span>}</span>
+                  <select value={p.role} disabled={p.id === user.id} onChange={(e)=>handleRoleChange(p, e.target.value)} className={`text-sm ${inputCls}`}>{Object.entries(ROLES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}</select>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
 
-  useEffect(()=>{ fetchProducts(); }, []);
-  async function fetchProducts(){ const { data } = await supabase.from('products').select('*, brands(name)').eq('available', true).order('created_at', { ascending: false }); setProducts(data || []); }
+// ------------------ Catalog (reads brands relation) ------------------
+// product card shared by Catalog grid and related items on the detail page; links to /p/:code
+function ProductCard({ p }){
+  const { addItem } = React.useContext(CartContext);
+  const href = `/p/${encodeURIComponent(p.code || '')}`;
+  const sellable = inStockVariants(p); const variantOptions = [...uniqueValues(sellable, 'size'), ...uniqueValues(sellable, 'color')]; // sold-out variants are not shown
+  const discount = discountPercent(p);
+  return (
+    <div className="border rounded-xl p-2 flex flex-col bg-white dark:bg-gray-800 dark:border-gray-700 transition-colors duration-300">
+      <Link to={href} className="relative">{p.image_url ? <img src={p.thumb_url || p.image_url} alt={p.name} loading="lazy" crossOrigin="anonymous" className="w-full h-36 object-cover rounded-lg mb-1" /> : <div className="w-full h-36 bg-gray-100 dark:bg-gray-700 rounded-lg mb-1 flex items-center justify-center text-gray-400">No Image</div>}
+        {discount > 0 && <span className="absolute top-2 left-2 bg-red-600 text-white text-xs font-semibold px-2 py-0.5 rounded-full">-{discount}%</span>}</Link>
+      <p className="text-xs text-gray-400">{p.code}</p>
+      <Link to={href}><h3 className="font-semibold text-sm hover:underline">{p.name}</h3></Link>
+      <p className="text-xs text-gray-500 dark:text-gray-300">{p.brands?.slug ? <Link to={`/brand/${p.brands.slug}`} className="hover:underline">{p.brands.name}</Link> : (p.brands?.name || '—')}</p>
+      <p className="text-sm font-bold mt-1">{discount > 0 && <span className="text-xs font-normal text-gray-400 line-through mr-1">{formatPriceRange(p, { sale: false })}</span>}<span className={discount > 0 ? 'text-red-600' : ''}>{formatPriceRange(p)}</span></p>
+      {variantOptions.length > 0 && <p className="text-xs text-gray-500 dark:text-gray-300 mt-0.5 truncate">{variantOptions.join(' · ')}</p>}
+      {p.affiliate_url ? (<a href={trackedHref(p.code)} target="_blank" rel="noopener noreferrer" className="mt-2 bg-blue-600 text-white text-xs py-1 rounded-full text-center hover:bg-blue-700 transition">Beli Sekarang</a>)
+        : p.available && (sellable.length ? <Link to={href} className="mt-2 border border-blue-600 text-blue-600 text-xs py-1 rounded-full text-center hover:bg-blue-50 dark:hover:bg-gray-700 transition">Pilih varian</Link>
+        : <button type="button" onClick={()=>addItem(p)} className="mt-2 border border-blue-600 text-blue-600 text-xs py-1 rounded-full text-center hover:bg-blue-50 dark:hover:bg-gray-700 transition">Tambah ke keranjang</button>)}
+    </div>
+  );
+}
 
-  const filtered = products.filter(p => { const q = search.trim().toLowerCase(); if (!q) return true; return (p.name||'').toLowerCase().includes(q) || (p.brands?.name||'').toLowerCase().includes(q) || (p.code||'').toLowerCase().includes(q); });
+// grouped, paginated product sections shared by Catalog and brand pages
+function CatalogSections({ order, sections, loadMore, loading }){
+  const empty = !loading && order.every(cat => !sections[cat.slug]?.total);
+  return (
+    <>
+      {loading && <div className="text-center text-sm text-gray-400 p-8">Memuat produk...</div>}
+      {empty && <div className="text-center text-sm text-gray-400 p-8">Tidak ada produk yang cocok dengan filter ini.</div>}
+
+      {order.map(cat => { const sec = sections[cat.slug]; const items = sec?.items; if (!items || items.length===0) return null; return (
+        <section key={cat.slug} className="mb-8">
+          <h2 className="text-lg font-semibold mb-3">{cat.icon || '📦'} {cat.name} <span className="text-sm font-normal text-gray-400">({sec.total})</span></h2>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {items.map(p => <ProductCard key={p.id} p={p} />)}
+          </div>
+          <LoadMore section={sec} onLoadMore={()=>loadMore(cat)} auto={order.length===1} />
+        </section>
+      );})}
+    </>
+  );
+}
 
-  const grouped = {}; categoriesOrder.forEach(cat => grouped[cat]=[]); filtered.forEach(p=>{ const cat = categoriesOrder.includes(p.category)? p.category : 'Other'; if (!grouped[cat]) grouped[cat]=[]; grouped[cat].push(p); });
+function Catalog(){
+  const { filters, setFilter, clearFilters } = useUrlFilters();
+  const { categories } = useCategories();
+  const { sections, order, loadMore, loading, reload } = useProductSections(filters, categories, { onlyAvailable: true });
+  const [brands, setBrands] = useState([]);
+  usePageMeta(catalogMeta({ origin: window.location.origin, category: (categories || []).find(c => c.slug === filters.category), q: filters.q }));
 
-  const categoryIcons = { Shirts:'👕','TShirts':'👚',Jackets:'🧥',Pants:'👖',Accessories:'🕶️',Shoes:'👟',Bags:'👜',Other:'📦' };
+  useEffect(()=>{ fetchBrands(); }, []);
+  async function fetchBrands(){ setBrands(await db.fetchBrands()); }
 
   return (
     <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300 p-4 md:p-8">
       <div className="max-w-6xl mx-auto">
         <h1 className="text-2xl text-gray-900 font-bold mb-4">Katalog Produk</h1>
-        <input placeholder="Cari kode / nama / brand..." value={search} onChange={(e)=>setSearch(e.target.value)} className="w-full border p-2 rounded-lg mb-6 bg-white dark:bg-gray-800 dark:border-gray-700" />
+        <OfflineNotice onRetry={()=>{ reload(); fetchBrands(); }} />
+        <Cart />
+        <ProductFilterBar filters={filters} setFilter={setFilter} clearFilters={clearFilters} categories={categories} brands={brands} />
+        <CatalogSections order={order} sections={sections} loadMore={loadMore} loading={loading} />
+      </div>
+    </div>
+  );
+}
+
+// ------------------ Brand page (public, /brand/:slug) ------------------
+function BrandPage(){
+  const { slug } = useParams();
+  const [brand, setBrand] = useState(undefined); // undefined = loading, null = not found
+  const { filters, setFilter, clearFilters } = useUrlFilters();
+  const { categories } = useCategories();
+  const brandFilters = useMemo(() => ({ ...filters, brand: slug }), [filters, slug]);
+  const { sections, order, loadMore, loading, reload } = useProductSections(brandFilters, categories, { onlyAvailable: true });
+  usePageMeta(brand ? brandMeta(brand, { origin: window.location.origin }) : null);
+
+  useEffect(()=>{ let cancelled = false;
+    (async ()=>{ setBrand(undefined); const { data, error } = await db.supabase.from('brands').select('*').eq('slug', slug).maybeSingle(); if (error) console.error(error); if (!cancelled) setBrand(data || null); })();
+    return ()=>{ cancelled = true; };
+  }, [slug]);
+
+  if (brand === undefined) return <div className="text-center p-8">Loading brand...</div>;
+
+  if (!brand) return (
+    <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300 p-4 md:p-8">
+      <div className="max-w-md mx-auto text-center py-16">
+        <div className="text-5xl mb-4">🏷️</div>
+        <h1 className="text-2xl font-bold mb-2">Brand tidak ditemukan</h1>
+        <Link to="/catalog" className="inline-block mt-4 bg-blue-600 text-white text-sm px-4 py-2 rounded-full hover:bg-blue-700 transition">Lihat Katalog</Link>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300 p-4 md:p-8">
+      <div className="max-w-6xl mx-auto">
+        <Link to="/catalog" className="text-sm text-gray-500 dark:text-gray-300 hover:underline">← Kembali ke katalog</Link>
+        <div className="mt-4"><OfflineNotice onRetry={reload} /></div>
+        <Cart />
+        <div className="flex items-center gap-4 mt-4 mb-6">
+          {brand.logo_url ? <img src={brand.logo_url} alt={brand.name} className="w-20 h-20 object-contain rounded-xl border dark:border-gray-700 bg-white" /> : <div className="w-20 h-20 rounded-xl bg-gray-100 dark:bg-gray-700 flex items-center justify-center text-2xl font-bold text-gray-400">{brand.name.charAt(0).toUpperCase()}</div>}
+          <h1 className="text-2xl font-bold">{brand.name}</h1>
+        </div>
+        <ProductFilterBar filters={filters} setFilter={setFilter} clearFilters={clearFilters} categories={categories} brands={null} searchPlaceholder={`Cari di ${brand.name}...`} />
+        <CatalogSections order={order} sections={sections} loadMore={loadMore} loading={loading} />
+      </div>
+    </div>
+  );
+}
+
+// ------------------ Product detail (public, /p/:code) ------------------
+function ProductDetail(){
+  const { code } = useParams();
+  const [product, setProduct] = useState(null);
+  const [related, setRelated] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeImage, setActiveImage] = useState(0);
+  const [choice, setChoice] = useState({ size: null, color: null }); // picked variant options
+  const { addItem } = React.useContext(CartContext);
+
+  useEffect(()=>{ let cancelled = false; fetchProduct(code, () => cancelled); return () => { cancelled = true; }; }, [code]);
+
+  // loads the product plus related items = other available items from the same category or the same brand;
+  // responses for a code navigated away from in the meantime (isCancelled()) are dropped
+  async function fetchProduct(productCode, isCancelled){ setLoading(true); setRelated([]); setActiveImage(0); setChoice({ size: null, color: null });
+    const { data, error } = await db.supabase.from('products').select('*, brands(name, slug, logo_url), product_images(id, url, thumb_url, position), product_variants(id, size, color, sku, price, stock, position)').eq('code', productCode).is('deleted_at', null).maybeSingle();
+    if (error) console.error(error);
+    if (isCancelled()) return;
+    setProduct(data || null); setLoading(false);
+    if (!data) return;
+    const conds = []; if (data.category) conds.push(`category.eq."${data.category}"`); if (data.brand_id) conds.push(`brand_id.eq.${data.brand_id}`);
+    if (conds.length === 0) return;
+    const { data: rel } = await db.supabase.from('products').select('*, brands(name, slug, logo_url), product_variants(id, size, color, sku, price, stock, position)').eq('available', true).is('deleted_at', null).neq('id', data.id).or(conds.join(',')).order('created_at', { ascending: false }).limit(8);
+    if (!isCancelled()) setRelated(rel || []);
+  }
+
+  async function handleCopyLink(){ try { await navigator.clipboard.writeText(window.location.href); toast.success('Link produk disalin'); } catch { toast.error('Gagal menyalin link'); } }
+
+  usePageMeta(product ? productMeta(product, { origin: window.location.origin }) : null);
+
+  if (loading) return <div className="text-center p-8">Loading produk...</div>;
+
+  if (!product) return (
+    <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300 p-4 md:p-8">
+      <div className="max-w-md mx-auto text-center py-16">
+        <div className="text-5xl mb-4">📦</div>
+        <h1 className="text-2xl font-bold mb-2">Produk tidak ditemukan</h1>
+        <p className="text-sm text-gray-500 dark:text-gray-300 mb-6">Kode <span className="font-mono">{code}</span> tidak ada di katalog kami.</p>
+        <Link to="/catalog" className="bg-blue-600 text-white text-sm px-4 py-2 rounded-full hover:bg-blue-700 transition">Lihat Katalog</Link>
+      </div>
+    </div>
+  );
+
+  const soldOut = !product.available;
+  const gallery = product.product_images?.length ? [...product.product_images].sort((a, b) => a.position - b.position) : (product.image_url ? [{ id: 'cover', url: product.image_url, thumb_url: product.thumb_url || product.image_url }] : []);
+  const mainImage = gallery[Math.min(activeImage, gallery.length - 1)];
+  // only in-stock variants are offered; colors narrow down to the picked size
+  const sellable = inStockVariants(product);
+  const sizes = uniqueValues(sellable, 'size'); const colors = uniqueValues(sellable.filter(v => !choice.size || v.size === choice.size), 'color');
+  const variant = sellable.find(v => (v.size || null) === (sizes.length ? choice.size : null) && (v.color || null) === (uniqueValues(sellable, 'color').length ? choice.color : null));
+  const discount = discountPercent(product, variant ? { price: Number(variant.price ?? product.price) } : undefined);
+  const pickOption = (key, value) => setChoice(c => { const next = { ...c, [key]: c[key] === value ? null : value }; if (key === 'size' && next.color && !sellable.some(v => v.size === next.size && v.color === next.color)) next.color = null; return next; });
+  const chipCls = active => `px-3 py-1 rounded-full border text-sm transition ${active ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-800'}`;
 
-        {Object.keys(grouped).map(cat => { const items = grouped[cat]; if (!items || items.length===0) return null; return (
-          <section key={cat} className="mb-8">
-            <h2 className="text-lg font-semibold mb-3">{categoryIcons[cat] || '📦'} {cat}</h2>
+  return (
+    <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300 p-4 md:p-8">
+      <div className="max-w-5xl mx-auto">
+        <Link to="/catalog" className="text-sm text-gray-500 dark:text-gray-300 hover:underline">← Kembali ke katalog</Link>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+          <div className="relative">
+            {mainImage ? <img src={mainImage.url} alt={product.name} className={`w-full aspect-square object-cover rounded-2xl ${soldOut ? 'opacity-50 grayscale' : ''}`} /> : <div className="w-full aspect-square bg-gray-100 dark:bg-gray-700 rounded-2xl flex items-center justify-center text-gray-400">No Image</div>}
+            {soldOut && <span className="absolute top-3 left-3 bg-red-600 text-white text-xs font-semibold px-3 py-1 rounded-full">Stok Habis</span>}
+            {gallery.length > 1 && (
+              <div className="flex gap-2 mt-3 overflow-x-auto">
+                {gallery.map((img, i) => (<button key={img.id} type="button" onClick={()=>setActiveImage(i)} className={`shrink-0 w-16 h-16 rounded-lg overflow-hidden border-2 ${img === mainImage ? 'border-blue-600' : 'border-transparent'}`}><img src={img.thumb_url || img.url} alt="" loading="lazy" className="w-full h-full object-cover" /></button>))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex flex-col text-left">
+            <p className="text-xs text-gray-400">{product.code}{product.category ? ` · ${product.category}` : ''}</p>
+            <h1 className="text-2xl font-bold mt-1">{product.name}</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-300">{product.brands?.slug ? <Link to={`/brand/${product.brands.slug}`} className="inline-flex items-center gap-2 hover:underline">{product.brands.logo_url && <img src={product.brands.logo_url} alt="" className="w-6 h-6 object-contain rounded" />}{product.brands.name}</Link> : (product.brands?.name || '—')}</p>
+            {discount > 0 && <p className="mt-4 text-sm"><span className="text-gray-400 line-through mr-2">{variant ? `Rp${formatPrice(variant.price ?? product.price)}` : formatPriceRange(product, { sale: false })}</span><span className="bg-red-600 text-white text-xs font-semibold px-2 py-0.5 rounded-full">-{discount}%</span>{product.sale_ends_at && <span className="text-xs text-gray-500 dark:text-gray-300 ml-2">s/d {new Date(product.sale_ends_at).toLocaleString('id-ID')}</span>}</p>}
+            <p className={`text-3xl font-bold ${discount > 0 ? 'mt-1 text-red-600' : 'mt-4'}`}>{variant ? `Rp${formatPrice(salePrice(product, Number(variant.price ?? product.price)))}` : formatPriceRange(product)}</p>
+            {sizes.length > 0 && <div className="mt-4"><p className="text-xs text-gray-500 dark:text-gray-300 mb-1">Ukuran</p><div className="flex flex-wrap gap-2">{sizes.map(sz => <button key={sz} type="button" onClick={()=>pickOption('size', sz)} className={chipCls(choice.size === sz)}>{sz}</button>)}</div></div>}
+            {colors.length > 0 && <div className="mt-3"><p className="text-xs text-gray-500 dark:text-gray-300 mb-1">Warna</p><div className="flex flex-wrap gap-2">{colors.map(cl => <button key={cl} type="button" onClick={()=>pickOption('color', cl)} className={chipCls(choice.color === cl)}>{cl}</button>)}</div></div>}
+            {variant && <p className="text-xs text-gray-400 mt-2">SKU {variant.sku} · stok {variant.stock}</p>}
+            <p className={`text-sm mt-2 font-medium ${soldOut ? 'text-red-600' : 'text-green-600'}`}>{soldOut ? 'Maaf, produk ini sedang habis' : 'Tersedia'}</p>
+
+            <div className="flex gap-2 mt-6">
+              {!soldOut && product.affiliate_url && (<a href={trackedHref(product.code)} target="_blank" rel="noopener noreferrer" className="flex-1 bg-blue-600 text-white text-sm py-2.5 rounded-full text-center hover:bg-blue-700 transition">Beli Sekarang</a>)}
+              {!soldOut && !product.affiliate_url && (<button type="button" onClick={()=>addItem(product, variant)} disabled={sellable.length > 0 && !variant} className="flex-1 bg-blue-600 disabled:opacity-50 text-white text-sm py-2.5 rounded-full text-center hover:bg-blue-700 transition">{sellable.length > 0 && !variant ? 'Pilih varian dulu' : 'Tambah ke keranjang'}</button>)}
+              <button onClick={handleCopyLink} className="border border-gray-200 dark:border-gray-700 text-sm px-4 py-2.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-800 transition">Salin Link</button>
+            </div>
+          </div>
+        </div>
+
+        <Cart />
+
+        {related.length > 0 && (
+          <section className="mt-12">
+            <h2 className="text-lg font-semibold mb-3">{soldOut ? 'Alternatif lainnya' : 'Produk terkait'}</h2>
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-              {items.map(p => (
-                <div key={p.id} className="border rounded-xl p-2 flex flex-col bg-white dark:bg-gray-800 dark:border-gray-700 transition-colors duration-300">
-                  {p.image_url ? <img src={p.image_url} alt={p.name} className="w-full h-36 object-cover rounded-lg mb-1" /> : <div className="w-full h-36 bg-gray-100 dark:bg-gray-700 rounded-lg mb-1 flex items-center justify-center text-gray-400">No Image</div>}
-                  <p className="text-xs text-gray-400">{p.code}</p>
-                  <h3 className="font-semibold text-sm">{p.name}</h3>
-                  <p className="text-xs text-gray-500 dark:text-gray-300">{p.brands?.name || '—'}</p>
-                  <p className="text-sm font-bold mt-1">Rp{formatPrice(p.price)}</p>
-                  {p.affiliate_url && (<a href={normalizeAffiliate(p.affiliate_url)} target="_blank" rel="noopener noreferrer" className="mt-2 bg-blue-600 text-white text-xs py-1 rounded-full text-center hover:bg-blue-700 transition">Beli Sekarang</a>)}
-                </div>
-              ))}
+              {related.map(p => <ProductCard key={p.id} p={p} />)}
             </div>
           </section>
-        );})}
+        )}
       </div>
     </div>
   );
 }
 
+// ------------------ Tracked affiliate redirect (public, /go/:code) ------------------
+// records the click via track_click (product id, time, referrer, UTM) and then leaves for the affiliate URL.
+// Tracking must never block the click: when track_click fails the URL is looked up directly (click not recorded),
+// and only an unknown code counts as a missing product
+function GoRedirect(){
+  const { code } = useParams();
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('loading'); // loading | missing | failed
+  const [attempt, setAttempt] = useState(0); // bumped by "Coba lagi"
+  const tracked = useRef(-1); // last attempt run; StrictMode runs effects twice in dev, record a single click per attempt
+
+  useEffect(() => {
+    if (tracked.current === attempt) return; tracked.current = attempt; setStatus('loading');
+    const utm = {}; UTM_KEYS.forEach(k => { if (searchParams.get(k)) utm[k] = searchParams.get(k); });
+    (async () => {
+      let { data: url, error } = await db.supabase.rpc('track_click', { p_code: code, p_referrer: searchParams.get('from') || document.referrer || null, p_utm: utm });
+      if (error) { console.error('track_click failed', error); ({ url, error } = await db.fetchAffiliateUrl(code)); if (error) console.error(error); }
+      if (url) window.location.replace(normalizeAffiliate(url)); else setStatus(error ? 'failed' : 'missing');
+    })();
+  }, [code, searchParams, attempt]);
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 flex items-center justify-center p-8 text-center">
+      {status === 'missing' ? <div><p className="mb-3">Link produk tidak ditemukan.</p><Link to="/catalog" className="text-blue-600 hover:underline">Kembali ke katalog</Link></div>
+        : status === 'failed' ? <div><p className="mb-3">Gagal membuka link produk.</p><button type="button" onClick={()=>setAttempt(a => a + 1)} className="bg-blue-600 text-white text-sm px-4 py-2 rounded-full hover:bg-blue-700 transition">Coba lagi</button></div>
+        : <p className="text-sm text-gray-500 dark:text-gray-300">Mengalihkan ke toko...</p>}
+    </div>
+  );
+}
+
 // --- ProtectedRoute ---
-const ProtectedRoute = ({ children }) => { const { user } = React.useContext(AuthContext); if (!user) return <Navigate to="/login" replace />; return children; };
+// permission (optional) = one of ROLE_PERMISSIONS; users without it are sent back to the dashboard
+const ProtectedRoute = ({ children, permission }) => { const { user, role } = React.useContext(AuthContext); if (!user) return <Navigate to="/login" replace />;
+  if (permission) { if (role === undefined) return <div className="text-center p-8">Loading...</div>; if (!roleCan(role, permission)) return <Navigate to="/dashboard" replace />; }
+  return children; };
 
 // --- Login ---
 function Login(){ const navigate = useNavigate(); const [email,setEmail]=useState(''); const [password,setPassword]=useState(''); const [error,setError]=useState('');
-  const handleLogin = async (e)=>{ e.preventDefault(); const { error } = await supabase.auth.signInWithPassword({ email, password }); if (error) { setError(error.message); toast.error('Login gagal!'); } else { toast.success('Login berhasil!'); navigate('/dashboard'); } };
+  const handleLogin = async (e)=>{ e.preventDefault(); const { error } = await db.signIn(email, password); if (error) { setError(error.message); toast.error('Login gagal!'); } else { toast.success('Login berhasil!'); navigate('/dashboard'); } };
   return (
     <div className="min-h-screen flex flex-col items-center justify-center bg-gradient-to-br from-gray-50 to-gray-200 dark:from-gray-800 dark:to-gray-900 transition-colors duration-300 px-6 py-10">
       <div className="w-full max-w-md bg-white dark:bg-gray-800 shadow-xl rounded-2xl p-8 border border-gray-100 dark:border-gray-700">
@@ -336,6 +1694,7 @@ function Login(){ const navigate = useNavigate(); const [email,setEmail]=useStat
 export default function App(){ const [dark, setDark] = useTheme();
   return (
     <AuthProvider>
+      <CartProvider>
       <Router>
         <div className="min-h-screen bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-300">
           <Header dark={dark} setDark={setDark} />
@@ -343,12 +1702,20 @@ export default function App(){ const [dark, setDark] = useTheme();
           <Routes>
             <Route path="/login" element={<Login />} />
             <Route path="/dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
+            <Route path="/dashboard/categories" element={<ProtectedRoute permission="manage"><CategoryAdmin /></ProtectedRoute>} />
+            <Route path="/dashboard/brands" element={<ProtectedRoute permission="manage"><BrandAdmin /></ProtectedRoute>} />
+            <Route path="/dashboard/trash" element={<ProtectedRoute permission="manage"><TrashAdmin /></ProtectedRoute>} />
+            <Route path="/dashboard/users" element={<ProtectedRoute permission="users"><UserAdmin /></ProtectedRoute>} />
             <Route path="/catalog" element={<Catalog />} />
+            <Route path="/p/:code" element={<ProductDetail />} />
+            <Route path="/brand/:slug" element={<BrandPage />} />
+            <Route path="/go/:code" element={<GoRedirect />} />
             <Route path="/" element={<Navigate to="/catalog" replace />} />
             <Route path="*" element={<Navigate to="/catalog" replace />} />
           </Routes>
         </div>
       </Router>
+      </CartProvider>
     </AuthProvider>
   ); }
 
@@ -366,4 +1733,471 @@ alter table public.products add column if not exists brand_id bigint references
 
 -- optional: remove old text brand column if you migrated values
 -- alter table public.products drop column if exists brand;
+
+-- product codes: one counter per 3-letter prefix (SHI, PAN, ...), handed out atomically
+create table if not exists public.product_code_counters (
+  prefix text primary key,
+  last_value integer not null default 0
+);
+
+-- seed counters from existing codes (PREFIX + digits) so new codes continue after the highest one
+insert into public.product_code_counters (prefix, last_value)
+select upper(substring(code from '^([A-Za-z]+)')), max(substring(code from '([0-9]+)$')::int)
+from public.products where code ~ '^[A-Za-z]+[0-9]+$'
+group by 1
+on conflict (prefix) do update set last_value = greatest(public.product_code_counters.last_value, excluded.last_value);
+
+create or replace function public.next_product_code(p_category text)
+returns text language plpgsql security definer set search_path = public as $$
+declare
+  -- prefix from categories.code_prefix (see categories below), falling back to the first 3 letters of the name
+  v_prefix text := coalesce(
+    (select upper(code_prefix) from categories where name = p_category and coalesce(code_prefix, '') <> ''),
+    upper(left(coalesce(nullif(trim(p_category), ''), 'OTH'), 3)));
+  v_next integer;
+begin
+  if public.app_role() is distinct from 'owner' then raise exception 'only owners can create product codes'; end if; -- see roles below
+  loop
+    insert into product_code_counters (prefix, last_value) values (v_prefix, 1)
+    on conflict (prefix) do update set last_value = product_code_counters.last_value + 1
+    returning last_value into v_next;
+    -- skip numbers already taken by manually typed codes
+    exit when not exists (select 1 from products where upper(code) = v_prefix || lpad(v_next::text, 3, '0'));
+  end loop;
+  return v_prefix || lpad(v_next::text, 3, '0');
+end $$;
+
+grant execute on function public.next_product_code(text) to authenticated;
+
+-- unique codes (case-insensitive); if this fails, run "Cek kode duplikat" -> "Perbaiki" in the Dashboard first
+create unique index if not exists products_code_unique on public.products (upper(code));
+
+-- managed categories (replaces the hard-coded lists in the app)
+create table if not exists public.categories (
+  id bigint generated by default as identity primary key,
+  name text unique not null,
+  slug text unique not null,
+  icon text default '📦',
+  sort_order integer not null default 0,
+  code_prefix text,
+  visible boolean not null default true,
+  created_at timestamptz default now()
+);
+
+-- seed with the previously hard-coded categories (same order + icons) ...
+insert into public.categories (name, slug, icon, sort_order, code_prefix) values
+  ('Shirts', 'shirts', '👕', 10, 'SHI'),
+  ('TShirts', 'tshirts', '👚', 20, 'TSH'),
+  ('Jackets', 'jackets', '🧥', 30, 'JAC'),
+  ('Pants', 'pants', '👖', 40, 'PAN'),
+  ('Accessories', 'accessories', '🕶️', 50, 'ACC'),
+  ('Shoes', 'shoes', '👟', 60, 'SHO'),
+  ('Bags', 'bags', '👜', 70, 'BAG')
+on conflict do nothing;
+
+-- ... then migrate every other text value already used by products
+insert into public.categories (name, slug, sort_order, code_prefix)
+select distinct p.category, trim(both '-' from lower(regexp_replace(p.category, '[^a-zA-Z0-9]+', '-', 'g'))), 100, upper(left(p.category, 3))
+from public.products p where coalesce(trim(p.category), '') <> ''
+on conflict do nothing;
+
+update public.products set category = null where trim(category) = '';
+
+-- products.category now references categories.name: renames cascade, deleting a category leaves products uncategorised
+alter table public.products drop constraint if exists products_category_fkey;
+alter table public.products add constraint products_category_fkey foreign key (category) references public.categories(name) on update cascade on delete set null;
+
+-- brand slugs (public /brand/:slug pages) and logos
+alter table public.brands add column if not exists slug text;
+alter table public.brands add column if not exists logo_url text;
+
+-- backfill slugs; near-duplicates ("Uniqlo" / "UNIQLO ") get -2, -3 ... until merged in /dashboard/brands
+with s as (
+  select id, trim(both '-' from lower(regexp_replace(name, '[^a-zA-Z0-9]+', '-', 'g'))) as base,
+         row_number() over (partition by trim(both '-' from lower(regexp_replace(name, '[^a-zA-Z0-9]+', '-', 'g'))) order by id) as n
+  from public.brands where slug is null
+)
+update public.brands b set slug = case when s.n = 1 then s.base else s.base || '-' || s.n end from s where b.id = s.id;
+
+create unique index if not exists brands_slug_unique on public.brands (slug);
+
+-- merge one brand into another: reassign its products, then delete it; returns the number of moved products
+create or replace function public.merge_brands(p_from bigint, p_into bigint)
+returns integer language plpgsql as $$
+declare v_moved integer;
+begin
+  if p_from = p_into then raise exception 'cannot merge a brand into itself'; end if;
+  if not exists (select 1 from brands where id = p_into) then raise exception 'target brand % not found', p_into; end if;
+  update products set brand_id = p_into where brand_id = p_from;
+  get diagnostics v_moved = row_count;
+  delete from brands where id = p_from;
+  return v_moved;
+end $$;
+
+grant execute on function public.merge_brands(bigint, bigint) to authenticated;
+
+-- public bucket for brand logos
+insert into storage.buckets (id, name, public) values ('brand-logos', 'brand-logos', true) on conflict (id) do nothing;
+drop policy if exists "brand logos: authenticated write" on storage.objects;
+create policy "brand logos: authenticated write" on storage.objects for all to authenticated
+  using (bucket_id = 'brand-logos') with check (bucket_id = 'brand-logos');
+
+-- product gallery: ordered images per product (position 0 = cover, mirrored into products.image_url / thumb_url for cards)
+alter table public.products add column if not exists thumb_url text;
+
+create table if not exists public.product_images (
+  id bigint generated by default as identity primary key,
+  product_id bigint not null references public.products(id) on delete cascade,
+  url text not null,
+  thumb_url text,
+  path text,        -- object path in the product-images bucket (full size)
+  thumb_path text,  -- object path of the thumbnail variant
+  position integer not null default 0,
+  created_at timestamptz default now()
+);
+create index if not exists product_images_product_idx on public.product_images (product_id, position);
+
+-- existing single images become the cover of their product's gallery
+insert into public.product_images (product_id, url, thumb_url, position)
+select p.id, p.image_url, p.image_url, 0 from public.products p
+where p.image_url is not null and not exists (select 1 from public.product_images i where i.product_id = p.id);
+
+-- roles: owner (everything + user management), editor (price + availability only), viewer (read-only)
+create table if not exists public.profiles (
+  id uuid primary key references auth.users(id) on delete cascade,
+  email text,
+  role text not null default 'viewer' check (role in ('owner', 'editor', 'viewer')),
+  created_at timestamptz default now()
+);
+
+-- pending invitations created by owners; the role is applied when the invited email signs up
+create table if not exists public.invitations (
+  email text primary key,
+  role text not null check (role in ('owner', 'editor', 'viewer')),
+  invited_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now()
+);
+
+-- everyone who could log in before had full access, so existing accounts start as owners (downgrade in /dashboard/users)
+insert into public.profiles (id, email, role) select id, email, 'owner' from auth.users on conflict (id) do nothing;
+
+create or replace function public.app_role() returns text language sql stable security definer set search_path = public as $$
+  select role from profiles where id = auth.uid()
+$$;
+
+create or replace function public.handle_new_user() returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  insert into profiles (id, email, role)
+  values (new.id, new.email, coalesce((select role from invitations where email = lower(new.email)), 'viewer'))
+  on conflict (id) do nothing;
+  delete from invitations where email = lower(new.email);
+  return new;
+end $$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created after insert on auth.users for each row execute function public.handle_new_user();
+
+-- editors pass the products update policy, but may only change price and available
+create or replace function public.guard_editor_product_update() returns trigger language plpgsql as $$
+begin
+  if public.app_role() = 'editor' and (to_jsonb(new) - array['price', 'sale_price', 'sale_percent', 'sale_starts_at', 'sale_ends_at', 'available', 'updated_at'])
+      is distinct from (to_jsonb(old) - array['price', 'sale_price', 'sale_percent', 'sale_starts_at', 'sale_ends_at', 'available', 'updated_at']) then
+    raise exception 'editors may only change price, promo and availability';
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists products_guard_editor on public.products;
+create trigger products_guard_editor before update on public.products for each row execute function public.guard_editor_product_update();
+
+alter table public.profiles enable row level security;
+alter table public.invitations enable row level security;
+alter table public.products enable row level security;
+alter table public.brands enable row level security;
+alter table public.categories enable row level security;
+alter table public.product_images enable row level security;
+alter table public.product_code_counters enable row level security; -- only touched through next_product_code (security definer)
+
+drop policy if exists "profiles: read own or owner" on public.profiles;
+create policy "profiles: read own or owner" on public.profiles for select to authenticated using (id = auth.uid() or public.app_role() = 'owner');
+drop policy if exists "profiles: owner updates" on public.profiles;
+create policy "profiles: owner updates" on public.profiles for update to authenticated using (public.app_role() = 'owner') with check (public.app_role() = 'owner');
+
+drop policy if exists "invitations: owner" on public.invitations;
+create policy "invitations: owner" on public.invitations for all to authenticated using (public.app_role() = 'owner') with check (public.app_role() = 'owner');
+
+drop policy if exists "products: public read" on public.products;
+create policy "products: public read" on public.products for select using (true);
+drop policy if exists "products: owner insert" on public.products;
+create policy "products: owner insert" on public.products for insert to authenticated with check (public.app_role() = 'owner');
+drop policy if exists "products: owner or editor update" on public.products;
+create policy "products: owner or editor update" on public.products for update to authenticated using (public.app_role() in ('owner', 'editor')) with check (public.app_role() in ('owner', 'editor'));
+drop policy if exists "products: owner delete" on public.products;
+create policy "products: owner delete" on public.products for delete to authenticated using (public.app_role() = 'owner');
+
+drop policy if exists "brands: public read" on public.brands;
+create policy "brands: public read" on public.brands for select using (true);
+drop policy if exists "brands: owner write" on public.brands;
+create policy "brands: owner write" on public.brands for all to authenticated using (public.app_role() = 'owner') with check (public.app_role() = 'owner');
+
+drop policy if exists "categories: public read" on public.categories;
+create policy "categories: public read" on public.categories for select using (true);
+drop policy if exists "categories: owner write" on public.categories;
+create policy "categories: owner write" on public.categories for all to authenticated using (public.app_role() = 'owner') with check (public.app_role() = 'owner');
+
+drop policy if exists "product images: public read" on public.product_images;
+create policy "product images: public read" on public.product_images for select using (true);
+drop policy if exists "product images: owner write" on public.product_images;
+create policy "product images: owner write" on public.product_images for all to authenticated using (public.app_role() = 'owner') with check (public.app_role() = 'owner');
+
+-- storage: only owners upload / delete product images and brand logos
+drop policy if exists "brand logos: authenticated write" on storage.objects;
+drop policy if exists "catalog files: owner write" on storage.objects;
+create policy "catalog files: owner write" on storage.objects for all to authenticated
+  using (bucket_id in ('product-images', 'brand-logos') and public.app_role() = 'owner')
+  with check (bucket_id in ('product-images', 'brand-logos') and public.app_role() = 'owner');
+
+-- affiliate click tracking: one row per outbound "Beli Sekarang" click (written by track_click only)
+create table if not exists public.clicks (
+  id bigserial primary key,
+  product_id bigint not null references public.products(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  referrer text,
+  utm_source text,
+  utm_medium text,
+  utm_campaign text,
+  utm_term text,
+  utm_content text
+);
+create index if not exists clicks_created_idx on public.clicks (created_at);
+create index if not exists clicks_product_idx on public.clicks (product_id, created_at);
+
+alter table public.clicks enable row level security;
+drop policy if exists "clicks: dashboard read" on public.clicks;
+create policy "clicks: dashboard read" on public.clicks for select to authenticated using (public.app_role() is not null);
+
+-- called by /go/:code for anonymous visitors: records the click and returns the affiliate URL (null = unknown code)
+create or replace function public.track_click(p_code text, p_referrer text default null, p_utm jsonb default '{}'::jsonb)
+returns text language plpgsql security definer set search_path = public as $$
+declare v_id bigint; v_url text;
+begin
+  select id, affiliate_url into v_id, v_url from products where upper(code) = upper(p_code) and affiliate_url is not null and deleted_at is null limit 1;
+  if v_id is null then return null; end if;
+  insert into clicks (product_id, referrer, utm_source, utm_medium, utm_campaign, utm_term, utm_content)
+  values (v_id, left(p_referrer, 500), left(p_utm->>'utm_source', 200), left(p_utm->>'utm_medium', 200), left(p_utm->>'utm_campaign', 200), left(p_utm->>'utm_term', 200), left(p_utm->>'utm_content', 200));
+  return v_url;
+end $$;
+grant execute on function public.track_click(text, text, jsonb) to anon, authenticated;
+
+-- per-product click counts for the Dashboard analytics; brand / category totals are summed client-side
+create or replace function public.click_stats(p_from timestamptz, p_to timestamptz)
+returns table (product_id bigint, code text, name text, brand text, category text, clicks bigint, last_click timestamptz)
+language sql stable as $$
+  select p.id, p.code, p.name, b.name, p.category, count(*), max(c.created_at)
+  from clicks c join products p on p.id = c.product_id left join brands b on b.id = p.brand_id
+  where c.created_at >= p_from and c.created_at < p_to
+  group by p.id, p.code, p.name, b.name, p.category
+  order by count(*) desc, max(c.created_at) desc
+$$;
+grant execute on function public.click_stats(timestamptz, timestamptz) to authenticated;
+
+-- soft-delete: "Hapus" in the Dashboard only sets deleted_at; /dashboard/trash restores or deletes for good
+alter table public.products add column if not exists deleted_at timestamptz;
+alter table public.products add column if not exists deleted_by uuid references auth.users(id) on delete set null;
+create index if not exists products_deleted_idx on public.products (deleted_at) where deleted_at is not null;
+-- trash is dashboard-only (replaces the public read policy above, now that deleted_at exists)
+drop policy if exists "products: public read" on public.products;
+create policy "products: public read" on public.products for select using (deleted_at is null or public.app_role() is not null);
+
+-- history of every insert / update / delete on products and brands (who, when, before / after)
+create table if not exists public.audit_log (
+  id bigserial primary key,
+  table_name text not null,
+  row_id bigint not null,
+  action text not null check (action in ('insert', 'update', 'trash', 'restore', 'delete')),
+  old_data jsonb,
+  new_data jsonb,
+  changed_by uuid references public.profiles(id) on delete set null,
+  changed_at timestamptz not null default now()
+);
+create index if not exists audit_log_row_idx on public.audit_log (table_name, row_id, changed_at desc);
+
+create or replace function public.audit_row() returns trigger language plpgsql security definer set search_path = public as $$
+declare v_action text := lower(tg_op); v_old jsonb; v_new jsonb;
+begin
+  if tg_op <> 'INSERT' then v_old := to_jsonb(old); end if;
+  if tg_op <> 'DELETE' then v_new := to_jsonb(new); end if;
+  if tg_op = 'UPDATE' then
+    if v_old = v_new then return new; end if;
+    -- soft-delete / restore on products are recorded as their own actions
+    if v_old ? 'deleted_at' and (v_old->>'deleted_at') is null and (v_new->>'deleted_at') is not null then v_action := 'trash';
+    elsif v_old ? 'deleted_at' and (v_old->>'deleted_at') is not null and (v_new->>'deleted_at') is null then v_action := 'restore'; end if;
+  end if;
+  insert into audit_log (table_name, row_id, action, old_data, new_data, changed_by)
+  values (tg_table_name, coalesce(v_new->>'id', v_old->>'id')::bigint, v_action, v_old, v_new, (select id from profiles where id = auth.uid()));
+  return coalesce(new, old);
+end $$;
+
+drop trigger if exists products_audit on public.products;
+create trigger products_audit after insert or update or delete on public.products for each row execute function public.audit_row();
+drop trigger if exists brands_audit on public.brands;
+create trigger brands_audit after insert or update or delete on public.brands for each row execute function public.audit_row();
+
+alter table public.audit_log enable row level security; -- written by the trigger only
+drop policy if exists "audit log: dashboard read" on public.audit_log;
+create policy "audit log: dashboard read" on public.audit_log for select to authenticated using (public.app_role() is not null);
+
+-- row versions for the Dashboard conflict check (update ... where updated_at = <version loaded in the form>)
+alter table public.products add column if not exists updated_at timestamptz not null default now();
+alter table public.brands add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.set_updated_at() returns trigger language plpgsql as $$
+begin
+  new.updated_at := now();
+  return new;
+end $$;
+
+drop trigger if exists products_set_updated_at on public.products;
+create trigger products_set_updated_at before update on public.products for each row execute function public.set_updated_at();
+drop trigger if exists brands_set_updated_at on public.brands;
+create trigger brands_set_updated_at before update on public.brands for each row execute function public.set_updated_at();
+
+-- realtime: Dashboard and Catalog subscribe to products + brands changes. RLS still decides who receives which rows:
+-- moving a product to the trash makes the new row invisible to anonymous visitors ("products: public read"), so the
+-- public catalog never gets that UPDATE. product_trash below is the signal it does receive.
+do $$ begin alter publication supabase_realtime add table public.products; exception when duplicate_object then null; end $$;
+do $$ begin alter publication supabase_realtime add table public.brands; exception when duplicate_object then null; end $$;
+
+-- ids of trashed products, kept by a trigger (row added on trash, removed on restore / permanent delete); readable by
+-- everyone so open catalogs can drop trashed products live
+create table if not exists public.product_trash (
+  product_id bigint primary key references public.products(id) on delete cascade,
+  trashed_at timestamptz not null default now()
+);
+create or replace function public.sync_product_trash() returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if new.deleted_at is not null and old.deleted_at is null then insert into product_trash (product_id, trashed_at) values (new.id, new.deleted_at) on conflict (product_id) do update set trashed_at = excluded.trashed_at;
+  elsif new.deleted_at is null and old.deleted_at is not null then delete from product_trash where product_id = new.id; end if;
+  return new;
+end $$;
+drop trigger if exists products_sync_trash on public.products;
+create trigger products_sync_trash after update of deleted_at on public.products for each row execute function public.sync_product_trash();
+insert into public.product_trash (product_id, trashed_at) select id, deleted_at from public.products where deleted_at is not null on conflict (product_id) do nothing;
+alter table public.product_trash enable row level security; -- written by the trigger only
+drop policy if exists "product trash: public read" on public.product_trash;
+create policy "product trash: public read" on public.product_trash for select using (true);
+do $$ begin alter publication supabase_realtime add table public.product_trash; exception when duplicate_object then null; end $$;
+
+-- product variants: size / color options with their own SKU (<code>-<SIZE>-<COLOR>), optional price override and stock
+create table if not exists public.product_variants (
+  id bigserial primary key,
+  product_id bigint not null references public.products(id) on delete cascade,
+  size text,
+  color text,
+  sku text not null,
+  price numeric check (price is null or price >= 0),
+  stock integer not null default 0 check (stock >= 0),
+  position integer not null default 0,
+  created_at timestamptz default now(),
+  check (size is not null or color is not null)
+);
+create index if not exists product_variants_product_idx on public.product_variants (product_id, position);
+create unique index if not exists product_variants_sku_unique on public.product_variants (upper(sku));
+
+-- products with variants are available while any variant has stock; products without variants keep the manual flag
+create or replace function public.sync_product_available() returns trigger language plpgsql security definer set search_path = public as $$
+declare v_product bigint; v_available boolean;
+begin
+  if tg_op = 'DELETE' then v_product := old.product_id; else v_product := new.product_id; end if;
+  if not exists (select 1 from product_variants where product_id = v_product) then return null; end if;
+  v_available := exists (select 1 from product_variants where product_id = v_product and stock > 0);
+  update products set available = v_available where id = v_product and available is distinct from v_available;
+  return null;
+end $$;
+
+drop trigger if exists product_variants_sync_available on public.product_variants;
+create trigger product_variants_sync_available after insert or update or delete on public.product_variants for each row execute function public.sync_product_available();
+
+-- editors may change variant price and stock, nothing else
+create or replace function public.guard_editor_variant_update() returns trigger language plpgsql as $$
+begin
+  if public.app_role() = 'editor' and (to_jsonb(new) - 'price' - 'stock') is distinct from (to_jsonb(old) - 'price' - 'stock') then
+    raise exception 'editors may only change variant price and stock';
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists product_variants_guard_editor on public.product_variants;
+create trigger product_variants_guard_editor before update on public.product_variants for each row execute function public.guard_editor_variant_update();
+
+alter table public.product_variants enable row level security;
+drop policy if exists "product variants: public read" on public.product_variants;
+create policy "product variants: public read" on public.product_variants for select using (true);
+drop policy if exists "product variants: owner insert" on public.product_variants;
+create policy "product variants: owner insert" on public.product_variants for insert to authenticated with check (public.app_role() = 'owner');
+drop policy if exists "product variants: owner or editor update" on public.product_variants;
+create policy "product variants: owner or editor update" on public.product_variants for update to authenticated using (public.app_role() in ('owner', 'editor')) with check (public.app_role() in ('owner', 'editor'));
+drop policy if exists "product variants: owner delete" on public.product_variants;
+create policy "product variants: owner delete" on public.product_variants for delete to authenticated using (public.app_role() = 'owner');
+
+-- store settings (key / value), e.g. whatsapp_number for cart checkout; readable by the storefront, written by owners
+create table if not exists public.settings (
+  key text primary key,
+  value text,
+  updated_at timestamptz default now()
+);
+alter table public.settings enable row level security;
+drop policy if exists "settings: public read" on public.settings;
+create policy "settings: public read" on public.settings for select using (true);
+drop policy if exists "settings: owner write" on public.settings;
+create policy "settings: owner write" on public.settings for all to authenticated using (public.app_role() = 'owner') with check (public.app_role() = 'owner');
+
+-- scheduled sale pricing: either a fixed sale price or a percentage, active from sale_starts_at until sale_ends_at (open-ended if null)
+alter table public.products add column if not exists sale_price numeric check (sale_price is null or sale_price >= 0);
+alter table public.products add column if not exists sale_percent numeric check (sale_percent is null or (sale_percent > 0 and sale_percent < 100));
+alter table public.products add column if not exists sale_starts_at timestamptz;
+alter table public.products add column if not exists sale_ends_at timestamptz;
+alter table public.products drop constraint if exists products_sale_check;
+alter table public.products add constraint products_sale_check check (
+  (sale_price is null or sale_percent is null)
+  and ((sale_price is null and sale_percent is null) = (sale_starts_at is null))
+  and (sale_ends_at is null or sale_ends_at > sale_starts_at)
+);
+create index if not exists products_sale_idx on public.products (sale_starts_at, sale_ends_at) where sale_starts_at is not null;
+
+-- every price / promo change, for the Dashboard price chart
+create table if not exists public.price_history (
+  id bigserial primary key,
+  product_id bigint not null references public.products(id) on delete cascade,
+  price numeric,
+  sale_price numeric,
+  sale_percent numeric,
+  sale_starts_at timestamptz,
+  sale_ends_at timestamptz,
+  changed_by uuid references public.profiles(id) on delete set null,
+  changed_at timestamptz not null default now()
+);
+create index if not exists price_history_product_idx on public.price_history (product_id, changed_at);
+
+create or replace function public.record_price_change() returns trigger language plpgsql security definer set search_path = public as $$
+begin
+  if tg_op = 'INSERT' or (new.price, new.sale_price, new.sale_percent, new.sale_starts_at, new.sale_ends_at)
+     is distinct from (old.price, old.sale_price, old.sale_percent, old.sale_starts_at, old.sale_ends_at) then
+    insert into price_history (product_id, price, sale_price, sale_percent, sale_starts_at, sale_ends_at, changed_by)
+    values (new.id, new.price, new.sale_price, new.sale_percent, new.sale_starts_at, new.sale_ends_at, (select id from profiles where id = auth.uid()));
+  end if;
+  return null;
+end $$;
+
+drop trigger if exists products_price_history on public.products;
+create trigger products_price_history after insert or update on public.products for each row execute function public.record_price_change();
+
+-- starting point for existing products
+insert into public.price_history (product_id, price, changed_at)
+select p.id, p.price, coalesce(p.created_at, now()) from public.products p
+where not exists (select 1 from public.price_history h where h.product_id = p.id);
+
+alter table public.price_history enable row level security; -- written by the trigger only
+drop policy if exists "price history: dashboard read" on public.price_history;
+create policy "price history: dashboard read" on public.price_history for select to authenticated using (public.app_role() is not null);
 */
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { act, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { getSession } from '../data.fake.js';
+import { OWNER, VIEWER, renderAt, seedShop } from './helpers.jsx';
+
+vi.mock('../data.js', () => import('../data.fake.js'));
+
+describe('ProtectedRoute', () => {
+  beforeEach(() => seedShop());
+
+  it('sends signed-out visitors to the login page', async () => {
+    renderAt('/dashboard');
+    expect(await screen.findByText('Masuk untuk mengelola produk Anda')).toBeTruthy();
+    expect(window.location.pathname).toBe('/login');
+  });
+
+  it('shows the login error and stays on /login for wrong credentials', async () => {
+    const user = userEvent.setup();
+    renderAt('/login');
+    await user.type(await screen.findByPlaceholderText('you@example.com'), OWNER.email);
+    await user.type(screen.getByPlaceholderText('••••••••'), 'salah');
+    await user.click(screen.getByRole('button', { name: 'Login' }));
+    expect(await screen.findByText('Invalid login credentials')).toBeTruthy();
+    expect(window.location.pathname).toBe('/login');
+  });
+
+  it('opens the dashboard after logging in', async () => {
+    const user = userEvent.setup();
+    renderAt('/login');
+    await user.type(await screen.findByPlaceholderText('you@example.com'), OWNER.email);
+    await user.type(screen.getByPlaceholderText('••••••••'), OWNER.password);
+    await user.click(screen.getByRole('button', { name: 'Login' }));
+    expect(await screen.findByRole('heading', { name: 'Dashboard Produk' })).toBeTruthy();
+    expect(window.location.pathname).toBe('/dashboard');
+  });
+
+  it('sends users without the permission back to the dashboard', async () => {
+    seedShop({ signedInAs: VIEWER });
+    renderAt('/dashboard/users');
+    expect(await screen.findByText('Akun Anda hanya dapat melihat produk.')).toBeTruthy();
+    expect(window.location.pathname).toBe('/dashboard');
+  });
+
+  it('logs out from the header', async () => {
+    seedShop({ signedInAs: OWNER });
+    const user = userEvent.setup();
+    renderAt('/dashboard');
+    await user.click(await screen.findByRole('button', { name: 'Logout' }));
+    expect(await screen.findByText('Masuk untuk mengelola produk Anda')).toBeTruthy();
+    expect(await getSession()).toBeNull();
+  });
+});
+
+describe('session expiry', () => {
+  it('logs out automatically once the session has expired', async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    seedShop({ signedInAs: OWNER, expiresIn: 90 });
+    renderAt('/dashboard');
+    expect(await screen.findByRole('heading', { name: 'Dashboard Produk' })).toBeTruthy();
+
+    await act(() => vi.advanceTimersByTimeAsync(60 * 1000)); // first check: still valid
+    expect(window.location.pathname).toBe('/dashboard');
+
+    await act(() => vi.advanceTimersByTimeAsync(60 * 1000)); // second check: expired
+    await waitFor(() => expect(window.location.pathname).toBe('/login'));
+    expect(await screen.findByText('Sesi berakhir, silakan login kembali')).toBeTruthy();
+    expect(await getSession()).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { fakeDb } from '../data.fake.js';
+import { findCard, renderAt, seedShop } from './helpers.jsx';
+
+vi.mock('../data.js', () => import('../data.fake.js'));
+
+// the tab checkout opens right away in the click, before the checks run
+function stubNewTab() { const tab = { opener: window, location: { href: '' }, close: vi.fn() }; vi.spyOn(window, 'open').mockReturnValue(tab); return tab; }
+
+async function addToCartAndOpen(name) {
+  const user = userEvent.setup();
+  renderAt('/catalog');
+  await user.click((await findCard(name)).getByRole('button', { name: 'Tambah ke keranjang' }));
+  await user.click(screen.getByRole('button', { name: /Keranjang \(1\)/ }));
+  return user;
+}
+
+describe('WhatsApp checkout', () => {
+  beforeEach(() => seedShop());
+  afterEach(() => vi.restoreAllMocks());
+
+  it('sends the order to the seller once prices check out', async () => {
+    const tab = stubNewTab();
+    const user = await addToCartAndOpen('Kemeja Linen');
+    await user.click(screen.getByRole('button', { name: 'Pesan lewat WhatsApp' }));
+    expect(window.open).toHaveBeenCalledWith('', '_blank');
+    await waitFor(() => expect(tab.location.href).toMatch(/^https:\/\/wa\.me\/628123456789\?text=/));
+    expect(decodeURIComponent(tab.location.href.split('text=')[1])).toContain('1. [KMJ002] Kemeja Linen x1 @ Rp249.000 = Rp249.000');
+    expect(tab.opener).toBeNull();
+    expect(tab.close).not.toHaveBeenCalled();
+  });
+
+  it('updates the cart instead of sending a price that changed', async () => {
+    const tab = stubNewTab();
+    const user = await addToCartAndOpen('Kemeja Linen');
+    fakeDb.products.find(p => p.code === 'KMJ002').price = 229000; // repriced while the cart was open
+    await user.click(screen.getByRole('button', { name: 'Pesan lewat WhatsApp' }));
+    expect(await screen.findByText('Harga atau stok berubah, keranjang sudah diperbarui')).toBeTruthy();
+    expect(tab.close).toHaveBeenCalled();
+    expect(tab.location.href).toBe('');
+    expect(JSON.parse(localStorage.getItem('cart'))[0]).toMatchObject({ code: 'KMJ002', price: 229000 });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { renderAt, seedShop } from './helpers.jsx';
+
+vi.mock('../data.js', () => import('../data.fake.js'));
+
+const sectionTitles = () => screen.queryAllByRole('heading', { level: 2 }).map(h => h.textContent);
+const shownProducts = () => screen.queryAllByRole('heading', { level: 3 }).map(h => h.textContent);
+
+describe('catalog grouping', () => {
+  beforeEach(() => seedShop());
+
+  it('groups available products by visible category, uncategorised last', async () => {
+    renderAt('/catalog');
+    await screen.findByText('Kemeja Flanel');
+    expect(sectionTitles()).toEqual(['👔 Kemeja (2)', '👟 Sepatu (1)', '📦 Tanpa kategori (1)']);
+    expect(shownProducts()).toEqual(['Kemeja Linen', 'Kemeja Flanel', 'Sepatu Lari', 'Totebag Kanvas']); // newest first within a section
+  });
+
+  it('leaves out sold-out, trashed and hidden-category products', async () => {
+    renderAt('/catalog');
+    await screen.findByText('Kemeja Flanel');
+    ['Kemeja Habis', 'Kemeja Terhapus', 'Kemeja Lama'].forEach(name => expect(screen.queryByText(name)).toBeNull());
+  });
+
+  it('shows a single section for ?category=', async () => {
+    renderAt('/catalog?category=sepatu');
+    await screen.findByText('Sepatu Lari');
+    expect(sectionTitles()).toEqual(['👟 Sepatu (1)']);
+  });
+
+  it('orders by price when asked to', async () => {
+    renderAt('/catalog?sort=price_asc');
+    await screen.findByText('Kemeja Flanel');
+    expect(shownProducts()).toEqual(['Kemeja Flanel', 'Kemeja Linen', 'Sepatu Lari', 'Totebag Kanvas']);
+  });
+});
+
+describe('catalog search', () => {
+  beforeEach(() => seedShop());
+
+  async function search(term) {
+    const user = userEvent.setup();
+    renderAt('/catalog');
+    await screen.findByText('Kemeja Flanel');
+    await user.type(screen.getByPlaceholderText('Cari kode / nama / brand...'), term);
+    await waitFor(() => expect(new URLSearchParams(window.location.search).get('q')).toBe(term)); // debounced into the URL
+  }
+
+  it('matches product names', async () => {
+    await search('linen');
+    await waitFor(() => expect(shownProducts()).toEqual(['Kemeja Linen']));
+    expect(sectionTitles()).toEqual(['👔 Kemeja (1)']);
+  });
+
+  it('matches codes case-insensitively', async () => {
+    await search('sep001');
+    await waitFor(() => expect(shownProducts()).toEqual(['Sepatu Lari']));
+  });
+
+  it('matches brand names', async () => {
+    await search('uniq');
+    await waitFor(() => expect(shownProducts()).toEqual(['Kemeja Flanel']));
+  });
+
+  it('says so when nothing matches', async () => {
+    await search('jaket');
+    expect(await screen.findByText('Tidak ada produk yang cocok dengan filter ini.')).toBeTruthy();
+    expect(sectionTitles()).toEqual([]);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect, vi } from 'vitest';
+import { fireEvent, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { fakeDb, raceNextCodes } from '../data.fake.js';
+import { OWNER, findCard, renderAt, seedShop } from './helpers.jsx';
+
+vi.mock('../data.js', () => import('../data.fake.js'));
+
+const productNamed = name => fakeDb.products.find(p => p.name === name);
+
+// owner on /dashboard with the product list loaded
+async function openDashboard() {
+  seedShop({ signedInAs: OWNER });
+  const user = userEvent.setup();
+  renderAt('/dashboard');
+  await findCard('Kemeja Flanel');
+  return user;
+}
+
+async function fillProduct(user, { name, price, category, brand, code }) {
+  if (category) await user.selectOptions(screen.getByDisplayValue('— Tanpa kategori —'), category);
+  await user.type(screen.getByPlaceholderText('Nama'), name);
+  await user.type(screen.getByPlaceholderText('Harga'), String(price));
+  if (brand) await user.type(screen.getByPlaceholderText('Brand'), brand);
+  if (code) await user.type(screen.getByPlaceholderText('Kode (kosongkan untuk otomatis)'), code);
+}
+
+async function saveNew(user, fields) {
+  await fillProduct(user, fields);
+  await user.click(screen.getByRole('button', { name: 'Simpan Produk' }));
+}
+
+// clicks the action button of the sonner toast showing text
+async function clickToastAction(user, text, label) { const toast = (await screen.findByText(text)).closest('[data-sonner-toast]'); await user.click(within(toast).getByRole('button', { name: label })); }
+
+describe('product CRUD', () => {
+  it('creates a product and lists it in its category', async () => {
+    const user = await openDashboard();
+    await saveNew(user, { name: 'Kemeja Oxford', price: 275000, category: 'Kemeja' });
+    expect(await screen.findByText('Produk berhasil disimpan')).toBeTruthy();
+    expect(productNamed('Kemeja Oxford')).toMatchObject({ category: 'Kemeja', price: 275000, available: true, brand_id: null, deleted_at: null });
+    await findCard('Kemeja Oxford');
+    expect(screen.getByRole('heading', { name: /^Kemeja \(4\)/ })).toBeTruthy(); // sold-out ones are listed in the Dashboard
+  });
+
+  it('updates a product from the edit form', async () => {
+    const user = await openDashboard();
+    await user.click((await findCard('Kemeja Linen')).getByRole('button', { name: 'Edit' }));
+    const price = screen.getByPlaceholderText('Harga');
+    await waitFor(() => expect(price.value).toBe('249000'));
+    await user.clear(price); await user.type(price, '229000');
+    await user.click(screen.getByRole('button', { name: 'Update Produk' }));
+    expect(await screen.findByText('Produk berhasil diupdate')).toBeTruthy();
+    expect(productNamed('Kemeja Linen')).toMatchObject({ price: 229000, code: 'KMJ002' });
+    expect(await (await findCard('Kemeja Linen')).findByText('Rp229.000')).toBeTruthy();
+  });
+
+  it('refuses to save over a newer version of the product', async () => {
+    const user = await openDashboard();
+    await user.click((await findCard('Kemeja Linen')).getByRole('button', { name: 'Edit' }));
+    await waitFor(() => expect(screen.getByPlaceholderText('Nama').value).toBe('Kemeja Linen'));
+    productNamed('Kemeja Linen').updated_at = '2026-06-01T00:00:00.000Z'; // saved by another admin meanwhile
+    await user.type(screen.getByPlaceholderText('Nama'), ' Premium');
+    await user.click(screen.getByRole('button', { name: 'Update Produk' }));
+    expect(await screen.findByText('Produk ini sudah diubah oleh admin lain')).toBeTruthy();
+    expect(productNamed('Kemeja Linen Premium')).toBeUndefined();
+  });
+
+  it('moves a deleted product to the trash', async () => {
+    const user = await openDashboard();
+    await user.click((await findCard('Totebag Kanvas')).getByRole('button', { name: 'Hapus' }));
+    await clickToastAction(user, 'Pindahkan produk ini ke sampah?', 'Hapus');
+    expect(await screen.findByText('Produk dipindah ke sampah')).toBeTruthy();
+    await waitFor(() => expect(screen.queryByText('Totebag Kanvas', { selector: 'h4' })).toBeNull());
+    expect(productNamed('Totebag Kanvas')).toMatchObject({ deleted_by: OWNER.id });
+    expect(productNamed('Totebag Kanvas').deleted_at).not.toBeNull();
+  });
+
+  it('brings a deleted product back with undo', async () => {
+    const user = await openDashboard();
+    await user.click((await findCard('Totebag Kanvas')).getByRole('button', { name: 'Hapus' }));
+    await clickToastAction(user, 'Pindahkan produk ini ke sampah?', 'Hapus');
+    await clickToastAction(user, 'Produk dipindah ke sampah', 'Urungkan');
+    expect(await screen.findByText('Produk dipulihkan')).toBeTruthy();
+    expect(productNamed('Totebag Kanvas')).toMatchObject({ deleted_at: null, deleted_by: null });
+    await findCard('Totebag Kanvas');
+  });
+});
+
+describe('brand autocomplete', () => {
+  it('suggests existing brands and saves the picked one', async () => {
+    const user = await openDashboard();
+    await fillProduct(user, { name: 'Kaos Polos', price: 99000, brand: 'uni' });
+    const suggestion = await screen.findByRole('listitem');
+    expect(suggestion.textContent).toBe('Uniqlo');
+    fireEvent.mouseDown(suggestion); // picked on mousedown, before the input blurs
+    expect(screen.getByPlaceholderText('Brand').value).toBe('Uniqlo');
+    await user.click(screen.getByRole('button', { name: 'Simpan Produk' }));
+    await screen.findByText('Produk berhasil disimpan');
+    expect(productNamed('Kaos Polos').brand_id).toBe('brand-uniqlo');
+    expect(fakeDb.brands).toHaveLength(2);
+  });
+
+  it('reuses a brand typed with different case and spacing', async () => {
+    const user = await openDashboard();
+    await saveNew(user, { name: 'Sepatu Jalan', price: 650000, brand: '  NIKE ' });
+    await screen.findByText('Produk berhasil disimpan');
+    expect(productNamed('Sepatu Jalan').brand_id).toBe('brand-nike');
+    expect(fakeDb.brands).toHaveLength(2);
+  });
+
+  it('creates a brand that does not exist yet', async () => {
+    const user = await openDashboard();
+    await saveNew(user, { name: 'Blazer Wol', price: 899000, brand: 'Zara Man' });
+    await screen.findByText('Produk berhasil disimpan');
+    const brand = fakeDb.brands.find(b => b.name === 'Zara Man');
+    expect(brand).toMatchObject({ slug: 'zara-man' });
+    expect(productNamed('Blazer Wol').brand_id).toBe(brand.id);
+    expect(await (await findCard('Blazer Wol')).findByText('Zara Man')).toBeTruthy();
+  });
+});
+
+describe('product codes', () => {
+  it('uses the category prefix and skips codes that are taken', async () => {
+    const user = await openDashboard();
+    await saveNew(user, { name: 'Kemeja Batik', price: 320000, category: 'Kemeja' });
+    await screen.findByText('Produk berhasil disimpan');
+    expect(productNamed('Kemeja Batik').code).toBe('KMJ003');
+    await saveNew(user, { name: 'Kemeja Denim', price: 310000, category: 'Kemeja' });
+    await waitFor(() => expect(productNamed('Kemeja Denim')?.code).toBe('KMJ006')); // KMJ004 + KMJ005 exist (sold out / trash)
+  });
+
+  it('falls back to the category name, or OTH without a category', async () => {
+    const user = await openDashboard();
+    await saveNew(user, { name: 'Sandal Gunung', price: 250000, category: 'Sepatu' });
+    await screen.findByText('Produk berhasil disimpan');
+    expect(productNamed('Sandal Gunung').code).toBe('SEP002');
+    await saveNew(user, { name: 'Payung Lipat', price: 60000 });
+    await waitFor(() => expect(productNamed('Payung Lipat')?.code).toBe('OTH002'));
+  });
+
+  it('retries with the next code when the generated one is taken meanwhile', async () => {
+    const user = await openDashboard();
+    raceNextCodes(1);
+    await saveNew(user, { name: 'Kemeja Batik', price: 320000, category: 'Kemeja' });
+    expect(await screen.findByText('Produk berhasil disimpan')).toBeTruthy();
+    expect(fakeDb.products.find(p => p.code === 'KMJ003').name).toBe('Disimpan admin lain (KMJ003)');
+    expect(productNamed('Kemeja Batik').code).toBe('KMJ006');
+  });
+
+  it('gives up after three taken codes and keeps the form', async () => {
+    const user = await openDashboard();
+    raceNextCodes(3);
+    await saveNew(user, { name: 'Kemeja Batik', price: 320000, category: 'Kemeja' });
+    expect(await screen.findByText('Gagal membuat kode unik, coba simpan lagi')).toBeTruthy();
+    expect(productNamed('Kemeja Batik')).toBeUndefined();
+    expect(screen.getByPlaceholderText('Nama').value).toBe('Kemeja Batik');
+  });
+
+  it('keeps a manual code', async () => {
+    const user = await openDashboard();
+    await saveNew(user, { name: 'Kemeja Custom', price: 400000, category: 'Kemeja', code: 'CUSTOM-01' });
+    await screen.findByText('Produk berhasil disimpan');
+    expect(productNamed('Kemeja Custom').code).toBe('CUSTOM-01');
+  });
+
+  it('warns about and rejects a manual code that is already used', async () => {
+    const user = await openDashboard();
+    await fillProduct(user, { name: 'Kemeja Kembar', price: 100000, code: 'kmj001' });
+    expect(await screen.findByText('Kode KMJ001 sudah dipakai oleh "Kemeja Flanel"')).toBeTruthy();
+    await user.click(screen.getByRole('button', { name: 'Simpan Produk' }));
+    expect(await screen.findByText('Kode KMJ001 sudah dipakai produk lain')).toBeTruthy();
+    expect(productNamed('Kemeja Kembar')).toBeUndefined();
+  });
+});
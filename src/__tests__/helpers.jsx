@@ -0,0 +1,40 @@
+// Shared scene for the tests: a small shop seeded into the in-memory data layer, and the app rendered at a URL.
+// Every test file mocks the data module first:  vi.mock('../data.js', () => import('../data.fake.js'))
+import { render, screen, within } from '@testing-library/react';
+import App from '../App.jsx';
+import { resetFakeData, startSession } from '../data.fake.js';
+
+export const OWNER = { id: 'user-owner', email: 'owner@toko.id', password: 'rahasia-owner', role: 'owner' };
+export const VIEWER = { id: 'user-viewer', email: 'viewer@toko.id', password: 'rahasia-viewer', role: 'viewer' };
+
+export const SHOP = {
+  users: [OWNER, VIEWER],
+  settings: [{ key: 'whatsapp_number', value: '0812-3456-789' }],
+  categories: [
+    { id: 'cat-kemeja', name: 'Kemeja', slug: 'kemeja', icon: '👔', sort_order: 1, code_prefix: 'KMJ', visible: true },
+    { id: 'cat-sepatu', name: 'Sepatu', slug: 'sepatu', icon: '👟', sort_order: 2, code_prefix: null, visible: true },
+    { id: 'cat-arsip', name: 'Arsip', slug: 'arsip', icon: '🗄️', sort_order: 3, code_prefix: 'ARS', visible: false },
+  ],
+  brands: [
+    { id: 'brand-uniqlo', name: 'Uniqlo', slug: 'uniqlo', logo_url: null },
+    { id: 'brand-nike', name: 'Nike', slug: 'nike', logo_url: null },
+  ],
+  // seeded oldest first, so the default "newest" order lists them bottom-up
+  products: [
+    { id: 'p-flanel', code: 'KMJ001', name: 'Kemeja Flanel', brand_id: 'brand-uniqlo', category: 'Kemeja', price: 199000 },
+    { id: 'p-linen', code: 'KMJ002', name: 'Kemeja Linen', category: 'Kemeja', price: 249000 },
+    { id: 'p-lari', code: 'SEP001', name: 'Sepatu Lari', brand_id: 'brand-nike', category: 'Sepatu', price: 899000 },
+    { id: 'p-tote', code: 'OTH001', name: 'Totebag Kanvas', price: 79000 },
+    { id: 'p-arsip', code: 'ARS001', name: 'Kemeja Lama', category: 'Arsip', price: 99000 },
+    { id: 'p-habis', code: 'KMJ004', name: 'Kemeja Habis', category: 'Kemeja', price: 150000, available: false },
+    { id: 'p-sampah', code: 'KMJ005', name: 'Kemeja Terhapus', category: 'Kemeja', price: 150000, deleted_at: '2026-01-02T00:00:00Z', deleted_by: 'user-owner' },
+  ],
+};
+
+// fresh shop, optionally signed in; expiresIn = session lifetime in seconds
+export function seedShop({ signedInAs = null, expiresIn } = {}) { resetFakeData(SHOP); if (signedInAs) startSession(signedInAs.email, { expiresIn }); }
+
+export function renderAt(path) { window.history.pushState({}, '', path); return render(<App />); }
+
+// the Dashboard / catalog card showing a product
+export async function findCard(name) { const title = await screen.findByText(name, { selector: 'h3, h4' }); return within(title.closest('div.flex-col')); }
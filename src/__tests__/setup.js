@@ -0,0 +1,12 @@
+// Runs before every test file (vite.config.js -> test.setupFiles).
+import { afterEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// jsdom has no layout / scrolling, media queries or pointer capture (sonner's swipe-to-dismiss uses it)
+window.scrollTo = () => {};
+Element.prototype.setPointerCapture ||= () => {};
+Element.prototype.releasePointerCapture ||= () => {};
+Element.prototype.hasPointerCapture ||= () => false;
+window.matchMedia ||= query => ({ matches: false, media: query, onchange: null, addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {}, dispatchEvent: () => false });
+
+afterEach(() => { cleanup(); vi.useRealTimers(); localStorage.clear(); sessionStorage.clear(); window.history.replaceState({}, '', '/'); });
@@ -0,0 +1,51 @@
+// Catalog vocabulary shared by the app (src/App.jsx), the data layer (src/data.js) and its in-memory fake
+// (src/data.fake.js): slugs, variant SKUs, the "no category" section, the URL filter / sort options and the rules behind
+// them, and the retry loop for unique product codes.
+
+export function slugify(s) { return (s || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''); }
+
+// SKU = product code + size + color, e.g. KMJ001-XL-NAVY
+export const variantSku = (code, v) => [code, v.size, v.color].map(x => slugify(x || '').toUpperCase()).filter(Boolean).join('-');
+
+export const NO_CATEGORY = { slug: 'none', name: 'Tanpa kategori', icon: '📦' }; // pseudo-category for products whose category is null
+
+export const PAGE_SIZE = 12;
+// price sorts and the min / max filter use products.price, the normal price: a running sale does not move a product
+export const SORTS = { newest: { label:'Terbaru', col:'created_at', asc:false }, price_asc: { label:'Harga terendah', col:'price', asc:true }, price_desc: { label:'Harga tertinggi', col:'price', asc:false }, name: { label:'Nama A-Z', col:'name', asc:true } };
+
+export function readFilters(params) { const sort = params.get('sort'); return { q: params.get('q') || '', category: params.get('category') || '', brand: params.get('brand') || '', min: params.get('min') || '', max: params.get('max') || '', sale: params.get('sale') === '1' ? '1' : '', sort: SORTS[sort] ? sort : 'newest' }; }
+// strip characters that would break a PostgREST or() filter
+export function sanitizeSearch(q) { return (q || '').replace(/[,()"\\%*]/g, ' ').trim(); }
+
+// --- Unique product codes (products_code_unique); the save loop shared by src/data.js and its fake ---
+export function isDuplicateCodeError(error) { return error?.code === '23505'; } // unique_violation (products_code_unique, brands_slug_unique)
+// every generated code was taken by a concurrent insert before it could be saved
+const CODE_EXHAUSTED = { code: 'code_exhausted', message: 'Gagal membuat kode unik' };
+
+// write(code) -> { error, ... } with a unique code: a manual code fails fast on a duplicate ({ error, code }), a generated
+// one (allocate()) is re-allocated and retried up to 3 times -> { error: { code: 'code_exhausted' } }
+export async function saveWithUniqueCode(manualCode, allocate, write) { const manual = (manualCode||'').trim();
+  for (let attempt = 0; attempt < 3; attempt++) {
+    let code = manual; if (!code) { try { code = await allocate(); } catch (error) { console.error(error); return { error }; } }
+    const result = await write(code);
+    if (!result.error) return { ...result, code };
+    if (!isDuplicateCodeError(result.error)) return result;
+    if (manual) return { error: result.error, code };
+  }
+  return { error: CODE_EXHAUSTED };
+}
+
+// whether a products row matches the filters: the rules of the products query in src/data.js, for rows that did not come
+// from it (realtime changes, the in-memory fake). category = a categories row or NO_CATEGORY (omitted = any);
+// brandSlug = slug of the row's brand (realtime rows only carry brand_id); brandIds = brands whose name matches filters.q
+export function productMatches(p, filters, { category, brandIds = [], onlyAvailable = false, brandSlug = p.brands?.slug ?? null, now = new Date().toISOString() } = {}) {
+  if (p.deleted_at) return false;
+  if (category === NO_CATEGORY ? p.category != null : category && p.category !== category.name) return false;
+  if (onlyAvailable && !p.available) return false;
+  if (filters.brand && brandSlug !== filters.brand) return false;
+  if (filters.min !== '' && Number.isFinite(Number(filters.min)) && !(Number(p.price) >= Number(filters.min))) return false;
+  if (filters.max !== '' && Number.isFinite(Number(filters.max)) && !(Number(p.price) <= Number(filters.max))) return false;
+  if (filters.sale && (!p.sale_starts_at || p.sale_starts_at > now || (p.sale_ends_at && p.sale_ends_at <= now))) return false;
+  const term = sanitizeSearch(filters.q).toLowerCase();
+  return !term || (p.name || '').toLowerCase().includes(term) || (p.code || '').toLowerCase().includes(term) || brandIds.includes(p.brand_id);
+}
@@ -0,0 +1,158 @@
+// In-memory twin of src/data.js for the tests: same exports, backed by plain arrays instead of Supabase, and mirroring
+// what the database does for us (unique codes, next_product_code counters, updated_at versions, soft delete,
+// available following variant stock). Tests swap it in with
+//   vi.mock('../data.js', () => import('../data.fake.js'))
+// and set the scene with resetFakeData({ users, categories, brands, products, ... }) + startSession(email).
+// Nothing here touches the network; realtime is silent (changes made through the fake are not broadcast).
+import { PAGE_SIZE, SORTS, productMatches, sanitizeSearch, saveWithUniqueCode, slugify, variantSku } from './catalog.js';
+
+// tables: users = [{ id, email, password, role }] stands in for auth.users + profiles
+export const fakeDb = {};
+let session = null; let seq = 0; let clock = Date.parse('2026-01-01T00:00:00Z');
+const authListeners = new Set();
+const nextId = table => `${table}-${++seq}`;
+const stamp = () => new Date(clock += 1000).toISOString(); // strictly increasing, so "newest" order and updated_at versions are stable
+const copy = row => (row ? structuredClone(row) : null);
+// products row with the column defaults of the table
+function productRow(values) { return { id: nextId('product'), available: true, category: null, brand_id: null, affiliate_url: null, image_url: null, thumb_url: null, sale_price: null, sale_percent: null, sale_starts_at: null, sale_ends_at: null, deleted_at: null, deleted_by: null, created_at: stamp(), updated_at: stamp(), ...structuredClone(values) }; }
+
+export function resetFakeData({ users = [], settings = [], categories = [], brands = [], products = [], product_images = [], product_variants = [] } = {}) {
+  Object.assign(fakeDb, {
+    users: structuredClone(users), settings: structuredClone(settings), categories: structuredClone(categories), brands: structuredClone(brands), product_images: structuredClone(product_images), product_variants: structuredClone(product_variants),
+    products: products.map(productRow),
+    counters: {}, files: new Set(), codeRaces: 0,
+  });
+  session = null; authListeners.clear();
+}
+resetFakeData();
+
+// signs a seeded user in without going through the login form; expiresIn in seconds from now
+export function startSession(email, { expiresIn = 3600 } = {}) { const u = fakeDb.users.find(x => x.email === email); if (!u) throw new Error(`no fake user ${email}`); setSession({ user: { id: u.id, email: u.email }, expires_at: Math.floor(Date.now() / 1000) + expiresIn }); }
+function setSession(next) { session = next; authListeners.forEach(fn => fn(session)); }
+
+export { isDuplicateCodeError } from './catalog.js';
+const DUPLICATE = { code: '23505', message: 'duplicate key value violates unique constraint' };
+const CONFLICT = { code: 'conflict', message: 'Produk diubah oleh admin lain' };
+
+// raw-client stand-in for the screens that still query Supabase directly (analytics, settings, history, admin pages):
+// every query resolves without rows, so they render empty instead of reaching for the network
+function emptyQuery(result) {
+  const query = new Proxy({}, { get: (_, prop) => {
+    if (prop === 'then') return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    if (prop === 'single' || prop === 'maybeSingle') return () => emptyQuery({ data: null, error: null });
+    return () => query;
+  } });
+  return query;
+}
+export const supabase = {
+  from: () => emptyQuery({ data: [], error: null, count: 0 }),
+  rpc: () => emptyQuery({ data: null, error: null }),
+  storage: { from: bucket => ({ upload: async () => ({ error: null }), remove: async () => ({ error: null }), list: async () => ({ data: [], error: null }), getPublicUrl: path => ({ data: { publicUrl: publicUrl(bucket, path) } }) }) },
+  auth: { signInWithOtp: async () => ({ error: null }) },
+};
+
+// --- Auth ---
+export async function getSession() { return copy(session); }
+export function onAuthStateChange(onChange) { authListeners.add(onChange); return () => authListeners.delete(onChange); }
+export async function signIn(email, password) { const u = fakeDb.users.find(x => x.email === email && x.password === password); if (!u) return { error: { message: 'Invalid login credentials' } };
+  startSession(email); return { error: null }; }
+export async function signOut() { setSession(null); }
+export async function fetchRole(userId) { return fakeDb.users.find(u => u.id === userId)?.role || 'viewer'; }
+
+// --- Store settings ---
+export async function fetchSetting(key) { return { value: fakeDb.settings.find(s => s.key === key)?.value ?? null, error: null }; }
+
+// --- Categories + brands ---
+const byName = (a, b) => a.name.localeCompare(b.name);
+export async function fetchCategories({ includeHidden = false } = {}) { return fakeDb.categories.filter(c => includeHidden || c.visible).sort((a, b) => a.sort_order - b.sort_order || byName(a, b)).map(copy); }
+export async function fetchBrands() { return [...fakeDb.brands].sort(byName).map(copy); }
+
+export async function ensureBrandId(brandName, list) { const name = (brandName||'').trim().replace(/\s+/g, ' '); const slug = slugify(name); if (!name) return null;
+  const found = list.find(b => b.name.toLowerCase() === name.toLowerCase() || (slug && b.slug === slug)); if (found) return found.id;
+  let brand = fakeDb.brands.find(b => b.slug === slug); // created meanwhile by someone else (brands_slug_unique)
+  if (!brand) { brand = { id: nextId('brand'), name, slug, logo_url: null }; fakeDb.brands.push(brand); }
+  list.push(copy(brand)); return brand.id;
+}
+
+// --- Product lists ---
+const brandOf = p => fakeDb.brands.find(b => b.id === p.brand_id) || null;
+const variantsOf = id => fakeDb.product_variants.filter(v => v.product_id === id).sort((a, b) => a.position - b.position);
+// product row as the list / form queries embed it
+function withRelations(p) { const b = brandOf(p); return copy({ ...p, brands: b ? { name: b.name, slug: b.slug, logo_url: b.logo_url ?? null } : null, product_variants: variantsOf(p.id) }); }
+
+export async function matchBrandIds(q) { const term = sanitizeSearch(q).toLowerCase(); if (!term) return []; return fakeDb.brands.filter(b => b.name.toLowerCase().includes(term)).map(b => b.id); }
+
+const matches = (p, filters, opts) => productMatches(p, filters, { ...opts, brandSlug: brandOf(p)?.slug ?? null });
+function sorted(rows, sortKey) { const sort = SORTS[sortKey] || SORTS.newest; const cmp = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+  return [...rows].sort((a, b) => (sort.asc ? 1 : -1) * cmp(a[sort.col], b[sort.col]) || cmp(b.created_at, a.created_at)); }
+
+export async function fetchProducts(filters, { from = 0, ...opts } = {}) { const rows = sorted(fakeDb.products.filter(p => matches(p, filters, opts)), filters.sort);
+  return { items: rows.slice(from, from + PAGE_SIZE).map(withRelations), total: rows.length }; }
+export async function fetchAllProducts(filters, opts = {}) { const brandIds = await matchBrandIds(filters.q); return { items: sorted(fakeDb.products.filter(p => matches(p, filters, { ...opts, brandIds })), filters.sort).map(withRelations), error: null }; }
+
+export async function fetchProductsForCart(codes) { const productIds = new Set(fakeDb.product_variants.filter(v => codes.includes(v.sku)).map(v => v.product_id));
+  return { products: fakeDb.products.filter(p => !p.deleted_at && (codes.includes(p.code) || productIds.has(p.id))).map(withRelations), error: null }; }
+
+// --- Single products ---
+const codeTaken = (code, exceptId) => fakeDb.products.some(p => p.id !== exceptId && (p.code || '').toUpperCase() === code.toUpperCase()); // products_code_unique, trash included
+export async function findProductByCode(code, excludeId = null) { const p = fakeDb.products.find(x => x.id !== excludeId && (x.code || '').toUpperCase() === code.toUpperCase()); return p ? { id: p.id, name: p.name, code: p.code } : null; }
+export async function fetchAffiliateUrl(code) { const p = fakeDb.products.find(x => x.code === code && !x.deleted_at); return { url: p?.affiliate_url || null, error: null }; }
+export async function findExistingCodes(codes) { const wanted = new Set(codes.map(c => c.toUpperCase())); return { codes: new Set(fakeDb.products.map(p => (p.code || '').toUpperCase()).filter(c => wanted.has(c))), error: null }; }
+export async function fetchProduct(id) { const p = fakeDb.products.find(x => x.id === id); return p ? withRelations(p) : null; }
+export async function fetchProductDetails(id) { return { images: fakeDb.product_images.filter(i => i.product_id === id).sort((a, b) => a.position - b.position).map(copy), variants: variantsOf(id).map(copy) }; }
+
+// the next n generated codes are taken by a concurrent insert between allocation and save (as two admins saving at once)
+export function raceNextCodes(n = 1) { fakeDb.codeRaces = n; }
+
+// next_product_code: prefix from categories.code_prefix or the first 3 letters of the name, per-prefix counter, taken numbers skipped
+export async function nextProductCode(category) { const name = (category || '').trim();
+  const prefix = (fakeDb.categories.find(c => c.name === category && c.code_prefix)?.code_prefix || (name || 'OTH').slice(0, 3)).toUpperCase();
+  for (;;) { const n = fakeDb.counters[prefix] = (fakeDb.counters[prefix] || 0) + 1; const code = `${prefix}${String(n).padStart(3, '0')}`; if (codeTaken(code)) continue;
+    if (fakeDb.codeRaces > 0) { fakeDb.codeRaces--; fakeDb.products.push(productRow({ code, name: `Disimpan admin lain (${code})`, category: category || null, price: 0 })); }
+    return code; }
+}
+
+export async function saveProduct(payload, manualCode, id = null, expectedUpdatedAt = null) {
+  return saveWithUniqueCode(manualCode, () => nextProductCode(payload.category), async code => {
+    if (id) { const row = fakeDb.products.find(p => p.id === id); if (!row || (expectedUpdatedAt && row.updated_at !== expectedUpdatedAt)) return { error: CONFLICT };
+      if (codeTaken(code, id)) return { error: DUPLICATE }; Object.assign(row, structuredClone(payload), { code, updated_at: stamp() }); return { id }; }
+    if (codeTaken(code)) return { error: DUPLICATE };
+    const row = productRow({ ...payload, code }); fakeDb.products.push(row); return { id: row.id };
+  });
+}
+
+export async function updatePricing(id, fields, variants, expectedUpdatedAt = null) { const row = fakeDb.products.find(p => p.id === id); if (!row || (expectedUpdatedAt && row.updated_at !== expectedUpdatedAt)) return { error: CONFLICT };
+  Object.assign(row, structuredClone(fields), { updated_at: stamp() });
+  variants.forEach(v => { const target = fakeDb.product_variants.find(x => x.id === v.id); if (target) Object.assign(target, { price: v.price === '' ? null : Number(v.price), stock: Number(v.stock) || 0 }); });
+  syncAvailable(id); return { error: null };
+}
+
+function updateProduct(id, values) { const row = fakeDb.products.find(p => p.id === id); if (row) Object.assign(row, values, { updated_at: stamp() }); return { error: null }; }
+export async function trashProduct(id, userId) { return updateProduct(id, { deleted_at: new Date().toISOString(), deleted_by: userId }); }
+export async function restoreProduct(id) { return updateProduct(id, { deleted_at: null, deleted_by: null }); }
+
+// --- Product images (uploads only remembered as paths in fakeDb.files) ---
+const publicUrl = (bucket, path) => `https://fake.supabase.test/storage/v1/object/public/${bucket}/${path}`;
+export function storagePathFromUrl(url, bucket) { const marker = `/storage/v1/object/public/${bucket}/`; const i = (url || '').indexOf(marker); return i === -1 ? null : decodeURIComponent(url.slice(i + marker.length).split('?')[0]); }
+export async function uploadProductImage(file) { const base = `${++seq}_${slugify(file.name)}`; const path = `${base}.webp`; const thumb_path = `thumbs/${base}.webp`;
+  fakeDb.files.add(path); fakeDb.files.add(thumb_path); return { path, thumb_path, url: publicUrl('product-images', path), thumb_url: publicUrl('product-images', thumb_path) }; }
+export async function removeProductImageFiles(images) { images.flatMap(img => [img.path || storagePathFromUrl(img.url, 'product-images'), img.thumb_path || storagePathFromUrl(img.thumb_url, 'product-images')]).forEach(path => fakeDb.files.delete(path)); }
+
+export async function syncProductImages(productId, gallery, removed = []) {
+  const removedIds = new Set(removed.filter(img => img.id).map(img => img.id)); fakeDb.product_images = fakeDb.product_images.filter(i => !removedIds.has(i.id)); await removeProductImageFiles(removed);
+  gallery.forEach((img, position) => { const row = img.id && fakeDb.product_images.find(i => i.id === img.id);
+    if (row) row.position = position; else fakeDb.product_images.push({ id: nextId('image'), product_id: productId, url: img.url, thumb_url: img.thumb_url || img.url, path: img.path || null, thumb_path: img.thumb_path || null, position }); });
+  return { error: null };
+}
+
+export async function syncProductVariants(productId, code, rows) {
+  const keep = new Set(rows.filter(v => v.id).map(v => v.id)); fakeDb.product_variants = fakeDb.product_variants.filter(v => v.product_id !== productId || keep.has(v.id));
+  rows.forEach((v, position) => { const values = { product_id: productId, size: v.size.trim() || null, color: v.color.trim() || null, sku: variantSku(code, v), price: v.price === '' ? null : Number(v.price), stock: Number(v.stock) || 0, position };
+    const row = v.id && fakeDb.product_variants.find(x => x.id === v.id); if (row) Object.assign(row, values); else fakeDb.product_variants.push({ id: nextId('variant'), ...values }); });
+  syncAvailable(productId); return { error: null };
+}
+// sync_product_available: a product with variants is available while any variant has stock
+function syncAvailable(productId) { const vs = variantsOf(productId); const row = fakeDb.products.find(p => p.id === productId); if (row && vs.length) row.available = vs.some(v => v.stock > 0); }
+
+// --- Realtime ---
+export function subscribe() { return () => {}; }
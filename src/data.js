@@ -0,0 +1,191 @@
+// Data access for the storefront and the product Dashboard: auth, categories, brands, products (+ images, variants)
+// and realtime, all against Supabase. src/data.fake.js implements the same exports in memory for the tests (see
+// src/__tests__). The admin-only screens (analytics, settings, brand / category / user admin, trash, history)
+// still query through the raw `supabase` client exported here.
+import { createClient } from '@supabase/supabase-js';
+import { NO_CATEGORY, PAGE_SIZE, SORTS, isDuplicateCodeError, sanitizeSearch, saveWithUniqueCode, slugify, variantSku } from './catalog.js';
+
+export const supabase = createClient(
+  import.meta.env.VITE_SUPABASE_URL,
+  import.meta.env.VITE_SUPABASE_ANON_KEY
+);
+
+export { isDuplicateCodeError } from './catalog.js';
+// returned by conditional updates that matched no row because the product was saved by someone else in between
+const CONFLICT = { code: 'conflict', message: 'Produk diubah oleh admin lain' };
+
+// --- Auth ---
+export async function getSession() { const { data } = await supabase.auth.getSession(); return data?.session || null; }
+// onChange(session) on every sign-in / sign-out / token refresh; returns the unsubscribe function
+export function onAuthStateChange(onChange) { const { data } = supabase.auth.onAuthStateChange((_event, session) => onChange(session)); return () => data.subscription.unsubscribe(); }
+export async function signIn(email, password) { const { error } = await supabase.auth.signInWithPassword({ email, password }); return { error }; }
+export async function signOut() { await supabase.auth.signOut(); }
+// profiles.role of a user; no profile row means viewer
+export async function fetchRole(userId) { const { data, error } = await supabase.from('profiles').select('role').eq('id', userId).maybeSingle(); if (error) console.error('profile failed', error); return data?.role || 'viewer'; }
+
+// --- Store settings (key / value) ---
+export async function fetchSetting(key) { const { data, error } = await supabase.from('settings').select('value').eq('key', key).maybeSingle(); return { value: data?.value ?? null, error }; }
+
+// --- Categories + brands ---
+// categories in display order; the public catalog only gets visible ones
+export async function fetchCategories({ includeHidden = false } = {}) { let q = supabase.from('categories').select('*').order('sort_order', { ascending: true }).order('name', { ascending: true }); if (!includeHidden) q = q.eq('visible', true);
+  const { data, error } = await q; if (error) console.error(error); return data || []; }
+
+export async function fetchBrands() { const { data, error } = await supabase.from('brands').select('*').order('name', { ascending: true }); if (error) console.error(error); return data || []; }
+
+// find brand by name or slug (so "UNIQLO " matches "Uniqlo") in list or insert it; newly created brands are pushed onto list
+export async function ensureBrandId(brandName, list) { const name = (brandName||'').trim().replace(/\s+/g, ' '); const slug = slugify(name); if (!name) return null;
+  const found = list.find(b => b.name.toLowerCase() === name.toLowerCase() || (slug && b.slug === slug)); if (found) return found.id;
+  const { data, error } = await supabase.from('brands').insert([{ name, slug }]).select('id, name, slug').single();
+  if (error && isDuplicateCodeError(error)) { const { data: existing } = await supabase.from('brands').select('id, name, slug').eq('slug', slug).maybeSingle(); if (existing) { list.push(existing); return existing.id; } } // created meanwhile by someone else
+  if (error) { console.error(error); return null; }
+  list.push(data); return data.id;
+}
+
+// --- Product lists (search / filter / sort / pagination) ---
+export async function matchBrandIds(q) { const term = sanitizeSearch(q); if (!term) return []; const { data } = await supabase.from('brands').select('id').ilike('name', `%${term}%`); return (data || []).map(b => b.id); }
+
+// products query for one category section (a categories row or NO_CATEGORY); brandIds = brands whose name matches the search term
+// (keep productMatches in ./catalog.js in step with these rules)
+function buildProductQuery(filters, { category, brandIds = [], onlyAvailable = false } = {}) {
+  const sort = SORTS[filters.sort] || SORTS.newest;
+  // brand filter is a slug, so join brands as inner and filter on the embedded column
+  let q = supabase.from('products').select(`*, ${filters.brand ? 'brands!inner' : 'brands'}(name, slug, logo_url), product_variants(id, size, color, sku, price, stock, position)`, { count: 'exact' }).is('deleted_at', null);
+  if (category === NO_CATEGORY) q = q.is('category', null); else if (category) q = q.eq('category', category.name);
+  if (onlyAvailable) q = q.eq('available', true);
+  if (filters.brand) q = q.eq('brands.slug', filters.brand);
+  if (filters.min !== '' && Number.isFinite(Number(filters.min))) q = q.gte('price', Number(filters.min));
+  if (filters.max !== '' && Number.isFinite(Number(filters.max))) q = q.lte('price', Number(filters.max));
+  if (filters.sale) { const now = new Date().toISOString(); q = q.lte('sale_starts_at', now).or(`sale_ends_at.is.null,sale_ends_at.gt.${now}`); } // sale rows always have a start
+  const term = sanitizeSearch(filters.q);
+  if (term) { const conds = [`name.ilike.%${term}%`, `code.ilike.%${term}%`]; if (brandIds.length) conds.push(`brand_id.in.(${brandIds.join(',')})`); q = q.or(conds.join(',')); }
+  q = q.order(sort.col, { ascending: sort.asc }); if (sort.col !== 'created_at') q = q.order('created_at', { ascending: false });
+  return q;
+}
+// one page (PAGE_SIZE rows from `from`) of a section -> { items, total }
+export async function fetchProducts(filters, { from = 0, ...opts } = {}) { const { data, count, error } = await buildProductQuery(filters, opts).range(from, from + PAGE_SIZE - 1); if (error) console.error(error); return { items: data || [], total: count ?? 0 }; }
+// every product matching filters (opts.category narrows to one section), fetched in chunks of 1000 to get past the API row
+// limit -> { items, error }; a failed chunk gives { items: [], error } rather than a silently partial list
+export async function fetchAllProducts(filters, opts = {}) { const brandIds = await matchBrandIds(filters.q); const all = [];
+  for (let from = 0; ; from += 1000) { const { data, error } = await buildProductQuery(filters, { ...opts, brandIds }).range(from, from + 999); if (error) { console.error(error); return { items: [], error }; } all.push(...(data || [])); if (!data || data.length < 1000) break; }
+  return { items: all, error: null };
+}
+
+// products behind cart lines (a line's code is a product code or a variant SKU), with their variants; trash left out
+export async function fetchProductsForCart(codes) { const select = '*, product_variants(id, size, color, sku, price, stock, position)';
+  const { data: variants, error } = await supabase.from('product_variants').select('product_id').in('sku', codes); if (error) return { products: [], error };
+  const ids = [...new Set((variants || []).map(v => v.product_id))];
+  const results = await Promise.all([supabase.from('products').select(select).is('deleted_at', null).in('code', codes), ids.length ? supabase.from('products').select(select).is('deleted_at', null).in('id', ids) : { data: [] }]);
+  const failed = results.find(r => r.error); if (failed) return { products: [], error: failed.error };
+  const products = [...new Map(results.flatMap(r => r.data || []).map(p => [p.id, p])).values()]; return { products, error: null };
+}
+
+// --- Single products (Dashboard form) ---
+// product already using code (codes are unique case-insensitively), other than excludeId
+export async function findProductByCode(code, excludeId = null) { let q = supabase.from('products').select('id, name, code').ilike('code', code.replace(/[\\%_]/g, m => '\\' + m)); if (excludeId) q = q.neq('id', excludeId);
+  const { data } = await q.limit(1); return data?.[0] || null; }
+// affiliate link of a listed product by code -> { url, error }; url null for unknown / trashed codes
+export async function fetchAffiliateUrl(code) { const { data, error } = await supabase.from('products').select('affiliate_url').eq('code', code).is('deleted_at', null).maybeSingle(); return { url: data?.affiliate_url || null, error }; }
+// which of codes are already used (upper-cased, trash included) -> { codes: Set, error }
+export async function findExistingCodes(codes) { if (!codes.length) return { codes: new Set(), error: null };
+  const { data, error } = await supabase.from('products').select('code').in('code', [...new Set(codes.flatMap(c => [c, c.toUpperCase()]))]);
+  return { codes: new Set((data || []).map(p => (p.code||'').toUpperCase())), error }; }
+export async function fetchProduct(id) { const { data } = await supabase.from('products').select('*, brands(name, slug, logo_url)').eq('id', id).maybeSingle(); return data || null; }
+// gallery + variant rows of a product, both in position order
+export async function fetchProductDetails(id) {
+  const [{ data: images }, { data: variants }] = await Promise.all([supabase.from('product_images').select('*').eq('product_id', id).order('position', { ascending: true }), supabase.from('product_variants').select('*').eq('product_id', id).order('position', { ascending: true })]);
+  return { images: images || [], variants: variants || [] };
+}
+
+// next code from the per-prefix counter in the database (atomic, skips taken numbers; see next_product_code in the SQL in App.jsx)
+export async function nextProductCode(category) { const { data, error } = await supabase.rpc('next_product_code', { p_category: category || '' }); if (error) throw error; return data; }
+
+// insert/update with a unique code (saveWithUniqueCode: a manual code fails fast on conflict, a generated one is retried)
+// expectedUpdatedAt (updates only): the update matches no row if someone saved in between -> { error: { code: 'conflict' } }
+export async function saveProduct(payload, manualCode, id = null, expectedUpdatedAt = null) {
+  return saveWithUniqueCode(manualCode, () => nextProductCode(payload.category), async code => {
+    let q = id ? supabase.from('products').update({ ...payload, code }).eq('id', id) : supabase.from('products').insert([{ ...payload, code }]);
+    if (id && expectedUpdatedAt) q = q.eq('updated_at', expectedUpdatedAt);
+    const { data, error } = await q.select('id').maybeSingle();
+    if (!error && !data && id) return { error: CONFLICT };
+    return error ? { error } : { id: data?.id ?? id };
+  });
+}
+
+// editor save: price / promo / availability of the product, then price + stock of its variants (the only columns the
+// guard triggers let editors change); same conflict check as saveProduct
+export async function updatePricing(id, fields, variants, expectedUpdatedAt = null) {
+  let q = supabase.from('products').update(fields).eq('id', id); if (expectedUpdatedAt) q = q.eq('updated_at', expectedUpdatedAt);
+  const { data, error } = await q.select('id').maybeSingle(); if (error) return { error }; if (!data) return { error: CONFLICT };
+  const results = await Promise.all(variants.map(v => supabase.from('product_variants').update({ price: v.price === '' ? null : Number(v.price), stock: Number(v.stock) || 0 }).eq('id', v.id)));
+  return { error: results.find(r => r.error)?.error || null };
+}
+
+// soft-delete into the trash / back out of it (files are kept until the product is deleted permanently)
+export async function trashProduct(id, userId) { const { error } = await supabase.from('products').update({ deleted_at: new Date().toISOString(), deleted_by: userId }).eq('id', id); return { error }; }
+export async function restoreProduct(id) { const { error } = await supabase.from('products').update({ deleted_at: null, deleted_by: null }).eq('id', id); return { error }; }
+
+// --- Product images (product_images table + product-images bucket, resized in the browser before upload) ---
+const IMAGE_MAX = 1600; const THUMB_MAX = 400; // longest side in px
+
+// public storage URL -> object path inside bucket (null for URLs that are not ours)
+export function storagePathFromUrl(url, bucket) { const marker = `/storage/v1/object/public/${bucket}/`; const i = (url || '').indexOf(marker); return i === -1 ? null : decodeURIComponent(url.slice(i + marker.length).split('?')[0]); }
+
+// scales an image file down to fit maxSize and re-encodes it as WebP (JPEG where the browser cannot encode WebP)
+async function resizeImage(file, maxSize, quality = 0.82) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas'); canvas.width = Math.round(bitmap.width * scale); canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height); if (bitmap.close) bitmap.close();
+  let blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', quality));
+  if (!blob || blob.type !== 'image/webp') blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+  if (!blob) throw new Error('Gagal memproses gambar');
+  return blob;
+}
+
+// uploads the full-size and thumbnail variants; returns the storage fields of a product_images row
+export async function uploadProductImage(file) {
+  const bucket = supabase.storage.from('product-images'); const base = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const [full, thumb] = await Promise.all([resizeImage(file, IMAGE_MAX), resizeImage(file, THUMB_MAX, 0.75)]);
+  const ext = b => b.type === 'image/webp' ? 'webp' : 'jpg';
+  const path = `${base}.${ext(full)}`; const thumb_path = `thumbs/${base}.${ext(thumb)}`;
+  const { error } = await bucket.upload(path, full, { contentType: full.type, cacheControl: '31536000' }); if (error) throw error;
+  const { error: thumbError } = await bucket.upload(thumb_path, thumb, { contentType: thumb.type, cacheControl: '31536000' }); if (thumbError) { await bucket.remove([path]); throw thumbError; }
+  return { path, thumb_path, url: bucket.getPublicUrl(path).data.publicUrl, thumb_url: bucket.getPublicUrl(thumb_path).data.publicUrl };
+}
+
+// deletes the storage objects behind image rows; legacy rows without path columns fall back to their URLs
+export async function removeProductImageFiles(images) {
+  const paths = images.flatMap(img => [img.path || storagePathFromUrl(img.url, 'product-images'), img.thumb_path || storagePathFromUrl(img.thumb_url, 'product-images')]).filter(Boolean);
+  if (paths.length === 0) return; const { error } = await supabase.storage.from('product-images').remove([...new Set(paths)]); if (error) console.error(error);
+}
+
+// makes product_images match a gallery: removed rows deleted with their files, kept rows re-positioned, new rows inserted
+export async function syncProductImages(productId, gallery, removed = []) {
+  if (removed.length) { const ids = removed.filter(img => img.id).map(img => img.id); if (ids.length) await supabase.from('product_images').delete().in('id', ids); await removeProductImageFiles(removed); }
+  const updates = gallery.map((img, position) => img.id ? supabase.from('product_images').update({ position }).eq('id', img.id) : null).filter(Boolean);
+  const inserts = gallery.map((img, position) => img.id ? null : { product_id: productId, url: img.url, thumb_url: img.thumb_url || img.url, path: img.path || null, thumb_path: img.thumb_path || null, position }).filter(Boolean);
+  const results = await Promise.all([...updates, inserts.length ? supabase.from('product_images').insert(inserts) : null].filter(Boolean));
+  return { error: results.find(r => r.error)?.error || null };
+}
+
+// writes the editor rows for a saved product: removed rows deleted, existing updated, new inserted (SKUs follow the current code)
+export async function syncProductVariants(productId, code, rows) {
+  const { data: existing } = await supabase.from('product_variants').select('id').eq('product_id', productId);
+  const keep = new Set(rows.filter(v => v.id).map(v => v.id)); const removed = (existing || []).map(v => v.id).filter(id => !keep.has(id));
+  if (removed.length) { const { error } = await supabase.from('product_variants').delete().in('id', removed); if (error) return { error }; }
+  const toRow = (v, position) => ({ product_id: productId, size: v.size.trim() || null, color: v.color.trim() || null, sku: variantSku(code, v), price: v.price === '' ? null : Number(v.price), stock: Number(v.stock) || 0, position });
+  const results = await Promise.all(rows.map((v, i) => v.id ? supabase.from('product_variants').update(toRow(v, i)).eq('id', v.id) : null).filter(Boolean));
+  const inserts = rows.map((v, i) => v.id ? null : toRow(v, i)).filter(Boolean);
+  if (inserts.length) results.push(await supabase.from('product_variants').insert(inserts));
+  return { error: results.find(r => r.error)?.error || null };
+}
+
+// --- Realtime: postgres_changes on the given tables (they must be in the supabase_realtime publication, see SQL) ---
+// onChange({ table, eventType, new, old }) for every change; returns the unsubscribe function
+export function subscribe(tables, onChange) {
+  const channel = supabase.channel(`live-${tables.join(',')}-${Math.random().toString(36).slice(2)}`);
+  tables.forEach(table => channel.on('postgres_changes', { event: '*', schema: 'public', table }, onChange));
+  channel.subscribe();
+  return () => { supabase.removeChannel(channel); };
+}
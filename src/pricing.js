@@ -0,0 +1,25 @@
+// Product price helpers shared by the app (src/App.jsx) and the build-time prerender (scripts/prerender.js).
+// Plain functions over product rows as returned by Supabase (optionally with product_variants embedded).
+
+export function formatPrice(p) { const n = Number(p); if (!Number.isFinite(n)) return '—'; return n.toLocaleString('id-ID'); }
+
+// variants that can still be bought, in editor order
+export const inStockVariants = p => (p.product_variants || []).filter(v => v.stock > 0).sort((a, b) => a.position - b.position);
+
+// --- Sale pricing (products.sale_price or sale_percent, active between sale_starts_at and sale_ends_at) ---
+// a percent applies to every variant; a fixed sale price replaces the product price, variants with their own price keep it
+export function isOnSale(p, now = new Date()) { return (p.sale_price != null || p.sale_percent != null) && !!p.sale_starts_at && new Date(p.sale_starts_at) <= now && (!p.sale_ends_at || new Date(p.sale_ends_at) > now); }
+export function salePrice(p, price = Number(p.price), now = new Date()) { if (!isOnSale(p, now)) return price;
+  if (p.sale_percent != null) return Math.round(price * (100 - Number(p.sale_percent)) / 100);
+  return price === Number(p.price) ? Number(p.sale_price) : price; }
+// normal prices of the sellable variants (price override or the product price); products without variants use their own price
+const sellablePrices = p => { const prices = inStockVariants(p).map(v => Number(v.price ?? p.price)); return prices.length ? prices : [Number(p.price)]; };
+
+// badge percent: the largest actual markdown over the sellable prices (or the given one), 0 when nothing is cheaper, e.g. a
+// fixed sale price while every sellable variant has its own price
+export function discountPercent(p, { price } = {}) { if (!isOnSale(p)) return 0;
+  return Math.max(0, ...(price != null ? [price] : sellablePrices(p)).map(x => (x > 0 ? Math.round((1 - salePrice(p, x) / x) * 100) : 0))); }
+
+// [min, max] over the sellable prices; sale = false gives the normal prices (shown struck through while a sale runs)
+export function priceRange(p, { sale = true } = {}) { const prices = sellablePrices(p); const final = sale ? prices.map(x => salePrice(p, x)) : prices; return [Math.min(...final), Math.max(...final)]; }
+export function formatPriceRange(p, opts) { const [min, max] = priceRange(p, opts); return min === max ? `Rp${formatPrice(min)}` : `Rp${formatPrice(min)} – ${formatPrice(max)}`; }
@@ -0,0 +1,78 @@
+// Page metadata for the public pages: title, description, Open Graph / Twitter tags and schema.org JSON-LD.
+// The app applies it to document.head at runtime (applyMeta); scripts/prerender.js writes the same tags into
+// static HTML at build time (renderMetaTags) so link previews and crawlers see them without running JS.
+import { discountPercent, formatPriceRange, inStockVariants, isOnSale, priceRange } from './pricing.js';
+
+export const SITE_NAME = 'Katalogin';
+export const DEFAULT_DESCRIPTION = 'Katalog produk fashion: kemeja, kaos, jaket, celana, sepatu, tas dan aksesoris, lengkap dengan link belanja.';
+const DEFAULT_IMAGE = '/icon-512.png';
+
+export function escapeHtml(s) { return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c])); }
+const absolute = (origin, url) => (/^https?:\/\//.test(url) ? url : `${origin}${url}`);
+
+// gallery in display order, falling back to the single cover image of older products
+export function productImages(p) { const gallery = [...(p.product_images || [])].sort((a, b) => a.position - b.position).map(img => img.url); return gallery.length ? gallery : (p.image_url ? [p.image_url] : []); }
+
+// meta objects: { title, description, url, image, type, price?, jsonLd? }; origin = absolute site URL without trailing slash
+export function catalogMeta({ origin, category = null, q = '' }) {
+  const title = q ? `Cari "${q}" | ${SITE_NAME}` : `${category ? category.name : 'Katalog Produk'} | ${SITE_NAME}`;
+  const description = category ? `Koleksi ${category.name} di ${SITE_NAME}. ${DEFAULT_DESCRIPTION}` : DEFAULT_DESCRIPTION;
+  return { title, description, url: `${origin}/catalog${category ? `?category=${encodeURIComponent(category.slug)}` : ''}`, image: absolute(origin, DEFAULT_IMAGE), type: 'website' };
+}
+
+export function brandMeta(brand, { origin }) {
+  return { title: `${brand.name} | ${SITE_NAME}`, description: `Produk ${brand.name} di ${SITE_NAME}. ${DEFAULT_DESCRIPTION}`, url: `${origin}/brand/${encodeURIComponent(brand.slug)}`, image: absolute(origin, brand.logo_url || DEFAULT_IMAGE), type: 'website' };
+}
+
+// sale = false leaves sale prices out (normal prices only), for static output that outlives a sale window
+export function productMeta(p, { origin, sale = true }) {
+  const url = `${origin}/p/${encodeURIComponent(p.code)}`; const images = productImages(p).map(img => absolute(origin, img)); const brand = p.brands?.name;
+  const price = sale && discountPercent(p) > 0 ? `${formatPriceRange(p)} (normal ${formatPriceRange(p, { sale: false })})` : formatPriceRange(p, { sale });
+  const description = [`${p.name}${brand ? ` dari ${brand}` : ''}`, price, p.available ? 'Tersedia' : 'Stok habis', `Kode ${p.code}`].join(' · ');
+  return { title: `${p.name}${brand ? ` – ${brand}` : ''} | ${SITE_NAME}`, description, url, image: images[0] || absolute(origin, DEFAULT_IMAGE), type: 'product', price: priceRange(p, { sale })[0], jsonLd: productJsonLd(p, { url, images, sale }) };
+}
+
+// schema.org Product; several in-stock variants with different prices become an AggregateOffer. Sale prices are only valid
+// until the sale ends (priceValidUntil)
+export function productJsonLd(p, { url, images, sale = true }) {
+  const availability = `https://schema.org/${p.available ? 'InStock' : 'OutOfStock'}`; const [low, high] = priceRange(p, { sale }); const variants = inStockVariants(p);
+  const validUntil = sale && isOnSale(p) && p.sale_ends_at ? { priceValidUntil: p.sale_ends_at.slice(0, 10) } : {};
+  const offers = low !== high
+    ? { '@type': 'AggregateOffer', priceCurrency: 'IDR', lowPrice: low, highPrice: high, offerCount: variants.length, availability, url, ...validUntil }
+    : { '@type': 'Offer', priceCurrency: 'IDR', price: low, availability, url, ...validUntil };
+  return { '@context': 'https://schema.org', '@type': 'Product', name: p.name, sku: p.code, url, ...(images.length ? { image: images } : {}), ...(p.brands?.name ? { brand: { '@type': 'Brand', name: p.brands.name } } : {}), ...(p.category ? { category: p.category } : {}), offers };
+}
+
+// [attribute, key, content] for every meta tag of a page
+function metaTags(meta) {
+  return [
+    ['name', 'description', meta.description],
+    ['property', 'og:site_name', SITE_NAME], ['property', 'og:type', meta.type], ['property', 'og:title', meta.title], ['property', 'og:description', meta.description], ['property', 'og:url', meta.url], ['property', 'og:image', meta.image],
+    ['name', 'twitter:card', 'summary_large_image'], ['name', 'twitter:title', meta.title], ['name', 'twitter:description', meta.description], ['name', 'twitter:image', meta.image],
+    ...(meta.price != null ? [['property', 'product:price:amount', String(meta.price)], ['property', 'product:price:currency', 'IDR']] : []),
+  ].filter(([, , content]) => content != null && content !== '');
+}
+
+// "<" is escaped so product names can't close the script tag
+const jsonLdText = data => JSON.stringify(data).replace(/</g, '\\u003c');
+
+// browser: replace the page-specific tags in document.head
+export function applyMeta(meta) {
+  document.title = meta.title;
+  const tags = metaTags(meta); const keys = new Set(tags.map(([attr, key]) => `${attr}:${key}`));
+  document.head.querySelectorAll('meta[data-page-meta]').forEach(el => { if (!keys.has(el.dataset.pageMeta)) el.remove(); });
+  tags.forEach(([attr, key, content]) => { let el = document.head.querySelector(`meta[${attr}="${key}"]`);
+    if (!el) { el = document.createElement('meta'); el.setAttribute(attr, key); document.head.appendChild(el); }
+    el.dataset.pageMeta = `${attr}:${key}`; el.setAttribute('content', content); });
+  let canonical = document.head.querySelector('link[rel="canonical"]'); if (!canonical) { canonical = document.createElement('link'); canonical.rel = 'canonical'; document.head.appendChild(canonical); } canonical.href = meta.url;
+  let ld = document.getElementById('page-jsonld');
+  if (!meta.jsonLd) { if (ld) ld.remove(); return; }
+  if (!ld) { ld = document.createElement('script'); ld.type = 'application/ld+json'; ld.id = 'page-jsonld'; document.head.appendChild(ld); }
+  ld.textContent = jsonLdText(meta.jsonLd);
+}
+
+// build time: the same tags as an HTML string for <head>
+export function renderMetaTags(meta) {
+  return [`<title>${escapeHtml(meta.title)}</title>`, ...metaTags(meta).map(([attr, key, content]) => `<meta ${attr}="${key}" content="${escapeHtml(content)}" data-page-meta="${attr}:${key}" />`), `<link rel="canonical" href="${escapeHtml(meta.url)}" />`,
+    ...(meta.jsonLd ? [`<script type="application/ld+json" id="page-jsonld">${jsonLdText(meta.jsonLd)}</script>`] : [])].join('\n    ');
+}
@@ -8,4 +8,9 @@ export default defineConfig({
   plugins: [
         tailwindcss(),
         react()],
+  // npm test: component / integration tests in src/__tests__, run against the in-memory data layer (src/data.fake.js)
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['src/__tests__/setup.js'],
+  },
 })